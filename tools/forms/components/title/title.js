@@ -9,6 +9,12 @@ const sheet = await getStyle(import.meta.url);
  * A small LitElement-based title/header widget that shows the current document name
  * and provides Preview/Publish action buttons. It emits a custom event
  * `editor-preview-publish` when an action is triggered so the host can handle it.
+ * While `validating` is set (async field checks pending), a triggered action is
+ * held and dispatched once the checks settle without errors. Warnings
+ * (`warningCount`) never block; the action proceeds with a notice.
+ * `saveStatus` (`{ state:'saved'|'dirty'|'saving'|'error', at?, message? }`)
+ * is shown next to the title; a failed save offers a retry, dispatched as
+ * `editor-save-retry`.
  */
 export default class DaTitle extends LitElement {
   static properties = {
@@ -17,6 +23,9 @@ export default class DaTitle extends LitElement {
     _status: { state: true },
     _fixedActions: { state: true },
     hasErrors: { type: Boolean },
+    validating: { type: Boolean },
+    warningCount: { type: Number },
+    saveStatus: { type: Object },
   };
 
   /** Adopt the shared stylesheet when the element is attached. */
@@ -42,30 +51,82 @@ export default class DaTitle extends LitElement {
     icon.parentElement.classList.add("is-error");
   }
 
+  /** Show a message in the shared `da-toast`. */
+  showToast(message, variant) {
+    let toast = document.querySelector('da-toast');
+    if (!toast) {
+      toast = document.createElement('da-toast');
+      document.body.appendChild(toast);
+    }
+    try {
+      toast.show(message, { variant });
+    } catch (e) {
+      // The toast component may not have loaded: keep the message in the console
+      // eslint-disable-next-line no-console
+      console.warn('[da-title]', message, e?.message || e);
+    }
+  }
+
   /** Handle a user action; toggles menu and dispatches `editor-preview-publish`. */
   async handleAction(action) {
     this.toggleActions();
     this._status = null;
-    const sendBtn = this.shadowRoot.querySelector(".da-title-action-send-icon");
 
     if (action === "preview" || action === "publish") {
       // If form has validation errors, show a toast instead of dispatching
       if (this.hasErrors) {
-        let toast = document.querySelector('da-toast');
-        if (!toast) {
-          toast = document.createElement('da-toast');
-          document.body.appendChild(toast);
-        }
-        try { toast.show('Form has validation errors. Please fix them before continuing.', { variant: 'error' }); } catch {}
+        this.showToast('Form has validation errors. Please fix them before continuing.', 'error');
+        return;
+      }
+      // Hold the action until pending async validations settle (see `updated`)
+      if (this.validating) {
+        this._heldAction = action;
+        this.shadowRoot.querySelector(".da-title-action-send-icon")?.classList.add("is-sending");
+        this.showToast(`Checking values… ${action === "preview" ? "Preview" : "Publish"} will continue when validation finishes.`, 'warning');
         return;
       }
-      let myEvent = new CustomEvent("editor-preview-publish", {
-        detail: { action, location: sendBtn },
-        bubbles: true,
-        composed: true,
-      });
-      this.dispatchEvent(myEvent);
+      this.dispatchAction(action);
+    }
+  }
+
+  /** Dispatch `editor-preview-publish` for `action`. */
+  dispatchAction(action) {
+    if (this.warningCount > 0) {
+      const n = this.warningCount;
+      this.showToast(`Continuing with ${n} warning${n === 1 ? "" : "s"}.`, 'warning');
     }
+    const sendBtn = this.shadowRoot.querySelector(".da-title-action-send-icon");
+    let myEvent = new CustomEvent("editor-preview-publish", {
+      detail: { action, location: sendBtn },
+      bubbles: true,
+      composed: true,
+    });
+    this.dispatchEvent(myEvent);
+  }
+
+  /** Ask the host to save again after a failed save. */
+  onRetryClick = () => {
+    this.dispatchEvent(new CustomEvent("editor-save-retry", { bubbles: true, composed: true }));
+  }
+
+  /** Save status line: unsaved changes, saving, saved at HH:MM, or failed with retry. */
+  renderSaveStatus() {
+    const { state, at, message } = this.saveStatus || {};
+    if (state === "dirty") return html`<div class="da-title-save-status" role="status">Unsaved changes</div>`;
+    if (state === "saving") return html`<div class="da-title-save-status" role="status">Saving…</div>`;
+    if (state === "error") {
+      return html`
+        <div class="da-title-save-status is-error" role="status" title=${message || nothing}>
+          Save failed
+          <button class="da-title-save-retry" @click=${this.onRetryClick}>Retry</button>
+        </div>
+      `;
+    }
+    if (state === "saved" && at) {
+      const time = at.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+      return html`<div class="da-title-save-status" role="status">Saved at ${time}</div>`;
+    }
+    return nothing;
   }
 
   /** Toggle visibility of the action controls. */
@@ -87,11 +148,21 @@ export default class DaTitle extends LitElement {
     this.toggleActions();
   }
 
-  /** Close actions if error state becomes true. */
+  /** Close actions if error state becomes true; release a held action once validation settles. */
   updated(changed) {
     if (changed.has('hasErrors') && this.hasErrors) {
       this._actionsVis = false;
     }
+    if (changed.has('validating') && !this.validating && this._heldAction) {
+      const action = this._heldAction;
+      this._heldAction = null;
+      this.shadowRoot.querySelector(".da-title-action-send-icon")?.classList.remove("is-sending");
+      if (this.hasErrors) {
+        this.showToast('Form has validation errors. Please fix them before continuing.', 'error');
+        return;
+      }
+      this.dispatchAction(action);
+    }
   }
 
   /** Render the title header and action buttons. */
@@ -106,6 +177,7 @@ export default class DaTitle extends LitElement {
             >${this.details.parentName}</a
           >
           <h1>${this.details.name}</h1>
+          ${this.renderSaveStatus()}
         </div>
         <div class="da-title-collab-actions-wrapper">
           <div
@@ -30,6 +30,16 @@ class FormsEditor extends LitElement {
     schemaError: { type: String },
     showSchemaDialog: { type: Boolean },
     context: { type: Object },
+    importFromPage: { type: Boolean },
+    importReport: { type: Object },
+    migration: { type: Object },
+    activeForm: { type: Number },
+    newForm: { type: Object },
+    removingForm: { type: Boolean },
+    conflict: { type: Object },
+    history: { type: Object },
+    draft: { type: Object },
+    saveStatus: { type: Object },
   };
 
   /** Initialize editor state and internal references. */
@@ -52,6 +62,38 @@ class FormsEditor extends LitElement {
     this._selectedSchemaName = '';
     this._context = {};
     this._services = null;
+    // Source of a page without form data, offered for import in the schema dialog
+    this._importSource = null;
+    this.importFromPage = true;
+    this.importReport = null;
+    // Storage format conversion dialog: { target, before, after, busy, error }
+    this.migration = null;
+    // Forms of the document (`documentData.forms`): the mounted one, the one
+    // being added through the schema dialog ({ name }), remove confirmation
+    this.activeForm = 0;
+    this.newForm = null;
+    this.removingForm = false;
+    // Bumped on each form switch, so pending changes of the previous form are dropped
+    this._formGeneration = 0;
+    // Schemas loaded so far by id, to store the forms not mounted right now
+    this._loadedSchemas = new Map();
+    // Document as last read or saved ({ title, forms }), the base of a merge
+    this._baseDocument = null;
+    // Save conflict dialog: { version, mine, theirs, fields, busy, error }
+    this.conflict = null;
+    // Version history dialog: { versions, url, version, entries, selected, loading, error }
+    this.history = null;
+    // Draft recovery dialog: { record, entries } for a local draft newer than DA
+    this.draft = null;
+    // Save state shown by da-title: { state:'saved'|'dirty'|'saving'|'error', at?:Date, message?:string }
+    this.saveStatus = { state: 'saved' };
+    // Idle time (ms) before changes are saved to DA, 0 when autosave is off
+    this._autosaveDelay = 0;
+    this._autosaveTimer = null;
+    this._saving = false;
+    // Validation state of the mounted form; autosave waits for a valid form
+    this._hasErrors = false;
+    this._validating = false;
   }
 
   /** Lifecycle: attach styles, initialize services, and bootstrap the UI. */
@@ -72,8 +114,10 @@ class FormsEditor extends LitElement {
     let schemaFromUrl = cfg.schemaFromUrl;
     this._storageVersion = cfg.storageVersion;
     this._showNavConnectors = cfg.showNavConnectors;
+    this._autosaveDelay = cfg.autosaveDelay;
     this._allowLocalSchemas = cfg.allowLocalSchemas;
     this._localSchemas = cfg.localSchemas;
+    this._services.validation.setLocale(cfg.locale || navigator.language);
 
     if (!pagePath) {
       this.error = 'Missing required "page" query parameter. Please provide a page path.';
@@ -82,7 +126,11 @@ class FormsEditor extends LitElement {
 
     // Load document data before initial render
     await this.loadDocumentData(pagePath);
+    // A page that could not be read is never edited, so never saved over
+    if (this.error) return;
     this._pagePath = pagePath;
+    // Async validators (e.g. unique slug in folder) resolve paths relative to the page
+    this._context.pagePath = pagePath;
     schemaFromUrl = this.documentData?.schemaId || schemaFromUrl;
 
     // Prepare Form UI (styles), and discover schemas for selection via services
@@ -98,6 +146,11 @@ class FormsEditor extends LitElement {
     }
 
     this.addEventListener('editor-save', this._handleSave);
+    this.addEventListener('editor-save-retry', () => {
+      // Include edits still waiting for the debounced change sync
+      this._flushFormData();
+      this._save(this._getSaveDetail());
+    });
     this.addEventListener('editor-preview-publish', this._handlePreviewPublish);
 
     // Ensure toast component is available
@@ -109,6 +162,11 @@ class FormsEditor extends LitElement {
     try {
       this.loading = true;
       this.documentData = await this._services.backend.readDocument(pagePath, { storageVersion: this._storageVersion });
+      // Keep saving in the detected format; the URL flag only applies to new pages
+      this._storageVersion = this.documentData?.storageVersion || this._storageVersion || 'html';
+      this._baseDocument = this._toMergeTree(this._getSaveDetail());
+      await this._checkDraft(pagePath);
+      await this._prepareImport(pagePath);
     } catch (error) {
       this.error = `Failed to load document: ${error.message}`;
       console.error('Error loading document:', error);
@@ -117,6 +175,23 @@ class FormsEditor extends LitElement {
     }
   }
 
+  /**
+   * Keep the source of an existing HTML page that has no form data yet (no
+   * schema id), so its content can be imported once a schema is picked.
+   */
+  async _prepareImport(pagePath) {
+    this._importSource = null;
+    if (this.documentData?.schemaId) return;
+    if (this._services.storage.getFormat(this._storageVersion).ext !== 'html') return;
+    try {
+      const source = await this._services.backend.readSource(pagePath);
+      const { hasPageContent } = await import('./libs/services/storage/page-importer.js');
+      if (hasPageContent(source)) this._importSource = source;
+    } catch (e) {
+      console.warn('[editor] page import unavailable:', e?.message || e);
+    }
+  }
+
   /** Discover available schemas from remote and (optional) local sources. */
   async discoverSchemas() {
     try {
@@ -153,7 +228,7 @@ class FormsEditor extends LitElement {
     const mountEl = this.renderRoot?.querySelector('#form-root');
     if (!schemaId || !mountEl) return;
     try {
-      
+      if (this.newForm) this._appendForm(schemaId);
       const selected = this.schemas.find((s) => s.id === schemaId) || {};
       let schema;
       let initialData = {};
@@ -167,19 +242,36 @@ class FormsEditor extends LitElement {
       }
       
       this._selectedSchemaName = selected.name || schema?.title || schemaId;
+      // Kept for storage versions that place values by schema (semantic, rich text)
+      this._schema = schema;
+      this._loadedSchemas.set(schemaId, schema);
       // Prefer existing form data from the loaded page if present
-      const dataToUse = (this.documentData && this.documentData.formData)
+      let dataToUse = (this.documentData && this.documentData.formData)
         ? this.documentData.formData  
         : initialData;
+      // Or extract it from a page that has no form data yet (offered once)
+      if (this._importSource && this.importFromPage) {
+        const { importPage } = await import('./libs/services/storage/page-importer.js');
+        const base = initialData && Object.keys(initialData).length
+          ? initialData
+          : this._services.schema.generateBaseJSON(schema, schema);
+        const imported = importPage(this._importSource, schema, { services: this._services, base });
+        dataToUse = imported.data;
+        this.importReport = imported.report;
+      }
+      this._importSource = null;
       if (!this._formApi) {
         // Lazy-load the form mount API
         const { default: mountFormUI } = await import('./libs/form-ui/form-mount.js');
         
         // Debounced sync function
         if (!this._onFormChangeDebounced) {
-          this._onFormChangeDebounced = this._debounce((next) => {
-            const updated = { ...(this.documentData || {}), formData: next, schemaId };
-            this.documentData = updated;
+          this._onFormChangeDebounced = this._debounce((next, generation) => {
+            // Changes of a form switched away from were flushed on the switch
+            if (generation !== this._formGeneration) return;
+            const current = this.documentData || {};
+            this.documentData = { ...current, formData: next, schemaId: current.schemaId || schemaId };
+            this._onDocumentEdited();
           }, 200);
         }
         
@@ -190,7 +282,7 @@ class FormsEditor extends LitElement {
           ui: { showNavConnectors: this._showNavConnectors },
           onChange: (next) => {
             // Sync live changes back to pageData.formData (debounced)
-            this._onFormChangeDebounced(next);
+            this._onFormChangeDebounced(next, this._formGeneration);
           },
           onRemove: () => {
             try { this._formApi?.destroy(); } catch {}
@@ -204,8 +296,15 @@ class FormsEditor extends LitElement {
 
         // Listen to validation state events to toggle actions and shortcuts
         const onValidationState = (e) => {
+          // Only errors block; warnings are advisory
           const total = e?.detail?.totalErrors || 0;
           this._setActionsDisabled(total > 0);
+          this._setWarningCount(e?.detail?.totalWarnings || 0);
+          this._setValidating((e?.detail?.pendingValidations || 0) > 0);
+          // An autosave held back by validation runs once the form is valid
+          this._hasErrors = total > 0;
+          this._validating = (e?.detail?.pendingValidations || 0) > 0;
+          if (!this._hasErrors && !this._validating && this.saveStatus.state === 'dirty') this._scheduleAutosave();
         };
         try { mountEl.removeEventListener('form-validation-state', this._onValidationState); } catch {}
         this._onValidationState = onValidationState;
@@ -242,6 +341,9 @@ class FormsEditor extends LitElement {
     this._formApi = null;
     this._disableDialogFocusTrap();
     window.removeEventListener('keydown', this._onGlobalKeydown);
+    window.removeEventListener('beforeunload', this._onBeforeUnload);
+    window.removeEventListener('blur', this._onWindowBlur);
+    clearTimeout(this._autosaveTimer);
     try { this.renderRoot?.querySelector('#form-root')?.removeEventListener('form-validation-state', this._onValidationState); } catch {}
     super.disconnectedCallback();
   }
@@ -259,6 +361,16 @@ class FormsEditor extends LitElement {
       }
     };
     window.addEventListener('keydown', this._onGlobalKeydown);
+    // Warn before leaving with changes not saved to DA
+    this._onBeforeUnload = (e) => {
+      if (!this._isDirty()) return;
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', this._onBeforeUnload);
+    // Leaving the editor window saves right away instead of after the idle time
+    this._onWindowBlur = () => this._autosave();
+    window.addEventListener('blur', this._onWindowBlur);
   }
 
   /** Maintain focus trapping for the modal dialog when shown. */
@@ -288,7 +400,7 @@ class FormsEditor extends LitElement {
     const keyHandler = (e) => {
       if (e.key === 'Escape') {
         e.preventDefault();
-        this.showSchemaDialog = false;
+        this._closeSchemaDialog();
         return;
       }
       if (e.key === 'Enter') {
@@ -332,18 +444,197 @@ class FormsEditor extends LitElement {
     };
   }
 
-  /** Dispatch an editor-save event with current page path and form details. */
-  _emitSave() {
+  /** Close the schema dialog, dropping a form being added. */
+  _closeSchemaDialog() {
+    this.showSchemaDialog = false;
+    this.newForm = null;
+  }
+
+  /** Every form of the document, the active one carrying the current form data. */
+  _getForms() {
+    const forms = [...(this.documentData?.forms || [])];
+    forms[this.activeForm] = {
+      ...(forms[this.activeForm] || { name: '' }),
+      schemaId: this.documentData?.schemaId || this.selectedSchema || '',
+      data: this.documentData?.formData || null,
+    };
+    return forms;
+  }
+
+  /** Take the mounted form's data now, ahead of the debounced change sync. */
+  _flushFormData() {
+    if (!this._formApi || !this.documentData) return;
+    this.documentData = { ...this.documentData, formData: this._formApi.getData() };
+  }
+
+  /** Make the form at `index` the active one, with its data and schema in the mounted form. */
+  _setActiveForm(forms, index) {
+    const form = forms[index];
+    this._formGeneration += 1;
+    this.activeForm = index;
+    this.removingForm = false;
+    this.documentData = { ...this.documentData, forms, formData: form.data, schemaId: form.schemaId };
+    this.selectedSchema = form.schemaId;
+  }
+
+  /** Switch the mounted form to another form of the document. */
+  async _selectForm(index) {
+    if (index === this.activeForm) return;
+    this._flushFormData();
+    const forms = this._getForms();
+    if (!forms[index]) return;
+    this._setActiveForm(forms, index);
+    await this._mountActiveForm();
+  }
+
+  /** Load the active form's schema, or ask for one when it is not available. */
+  async _mountActiveForm() {
+    if (this.schemas.some((s) => s.id === this.selectedSchema)) {
+      await this.loadSelectedSchema();
+    } else {
+      this.showSchemaDialog = true;
+    }
+  }
+
+  /** Open the schema dialog to add a form with a unique default name. */
+  _openAddForm() {
+    const names = new Set(this._getForms().map((f) => f.name));
+    let n = this._getForms().length + 1;
+    while (names.has(`form-${n}`)) n += 1;
+    this.newForm = { name: `form-${n}` };
+    this.showSchemaDialog = true;
+  }
+
+  /** Add the form named in the schema dialog after the others and make it the active one. */
+  _appendForm(schemaId) {
+    this._flushFormData();
+    const forms = [...this._getForms(), { name: this.newForm.name.trim(), schemaId, data: null }];
+    this.newForm = null;
+    this._setActiveForm(forms, forms.length - 1);
+  }
+
+  /** Remove the active form (never the last one) and mount the next one. */
+  async _removeForm() {
+    const forms = this._getForms();
+    if (forms.length < 2) return;
+    const index = this.activeForm;
+    forms.splice(index, 1);
+    this._setActiveForm(forms, Math.min(index, forms.length - 1));
+    await this._mountActiveForm();
+    this._onDocumentEdited();
+  }
+
+  /** Move the active form up (-1) or down (+1) in the document. */
+  _moveForm(delta) {
+    this._flushFormData();
+    const forms = this._getForms();
+    const to = this.activeForm + delta;
+    if (to < 0 || to >= forms.length) return;
+    const [form] = forms.splice(this.activeForm, 1);
+    forms.splice(to, 0, form);
+    this.activeForm = to;
+    this.documentData = { ...this.documentData, forms };
+    this._onDocumentEdited();
+  }
+
+  /** Current page path and form details, as saved to DA. */
+  _getSaveDetail() {
+    const forms = this._getForms();
     const formMeta = {
       title: this.documentData?.title || '',
-      schemaId: this.documentData?.schemaId || this.selectedSchema || '',
+      schemaId: forms[0].schemaId,
     };
-    const detail = {
+    return {
       pagePath: this._pagePath,
       formMeta,
-      formData: this.documentData?.formData || null,
+      formData: forms[0].data,
+      forms: forms.map((form) => ({ ...form, schema: this._loadedSchemas.get(form.schemaId) })),
     };
-    this.dispatchEvent(new CustomEvent('editor-save', { detail }));
+  }
+
+  /** Dispatch an editor-save event with current page path and form details. */
+  _emitSave() {
+    this._flushFormData();
+    this.dispatchEvent(new CustomEvent('editor-save', { detail: this._getSaveDetail() }));
+  }
+
+  /** Open the storage format conversion dialog with a preview for the first other format. */
+  _openMigration() {
+    const target = this._services.storage.getVersions().find((v) => v !== this._storageVersion);
+    this.migration = { target, before: '', after: '', busy: false, error: '' };
+    this._previewMigration(target);
+  }
+
+  /** Show the stored source next to what the page would be saved as in `target`. */
+  async _previewMigration(target) {
+    const { backend } = this._services;
+    this.migration = { ...this.migration, target, after: '', error: '' };
+    try {
+      const { ext } = this._services.storage.getFormat(this._storageVersion);
+      const before = this.migration.before || (await backend.readSource(this._pagePath, { ext })) || '(not saved yet)';
+      const { body: after } = backend.buildDocumentBody(this._getSaveDetail(), { storageVersion: target, schema: this._schema });
+      if (this.migration?.target === target) this.migration = { ...this.migration, before, after };
+    } catch (e) {
+      if (this.migration) this.migration = { ...this.migration, error: e?.message || String(e) };
+    }
+  }
+
+  /**
+   * Save the page in the target format. When the extension changes (html ↔
+   * json) the previous source is deleted so the page is only read back in the
+   * new format.
+   */
+  async _runMigration() {
+    const { target, leftover } = this.migration || {};
+    if (leftover) {
+      await this._deleteMigratedSource(leftover);
+      return;
+    }
+    if (!target || target === this._storageVersion) return;
+    const { backend } = this._services;
+    const { ext: fromExt } = this._services.storage.getFormat(this._storageVersion);
+    const { ext: toExt } = this._services.storage.getFormat(target);
+    this.migration = { ...this.migration, busy: true, error: '' };
+    this._flushFormData();
+    const detail = this._getSaveDetail();
+    const resp = await backend.saveDocument(detail, { storageVersion: target, schema: this._schema });
+    if (resp?.conflict) {
+      this.migration = null;
+      this._openConflict(resp.conflict);
+      return;
+    }
+    if (!resp?.ok) {
+      this.migration = { ...this.migration, busy: false, error: `Save failed (${resp?.daStatus || resp?.error?.message || 'network error'})` };
+      return;
+    }
+    this._markSaved(detail);
+    this._storageVersion = target;
+    this.documentData = { ...(this.documentData || {}), storageVersion: target };
+    if (fromExt !== toExt) {
+      await this._deleteMigratedSource(fromExt);
+      return;
+    }
+    this.migration = null;
+  }
+
+  /**
+   * Delete the source a converted page was stored in. A failure keeps the
+   * dialog open with a retry: left in place, that source may be loaded
+   * instead of the converted one.
+   */
+  async _deleteMigratedSource(ext) {
+    this.migration = { ...this.migration, busy: true, error: '' };
+    try {
+      await this._services.backend.deleteSource(this._pagePath, { ext });
+      this.migration = null;
+    } catch (e) {
+      this.migration = {
+        ...this.migration,
+        busy: false,
+        leftover: ext,
+        error: `Converted to ${this._storageVersion}, but the old .${ext} source could not be deleted (${e?.message || e}). Retry, or delete it in DA, so it is not loaded instead of the converted page.`,
+      };
+    }
   }
 
   /** Compute path details used by the UI header component. */
@@ -389,17 +680,287 @@ class FormsEditor extends LitElement {
       // Color the send button when errors exist
       const send = root.querySelector('.da-title-action-send');
       if (send) send.classList.toggle('is-error', !!disabled);
-    } catch {}
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('[forms-editor] could not update the title actions:', e?.message || e);
+    }
+  }
+
+  /** Show the number of advisory warnings on the title actions. */
+  _setWarningCount(count) {
+    const title = this.renderRoot?.querySelector('da-title');
+    if (title) title.warningCount = count;
+  }
+
+  /** Hold title preview/publish actions while async validations are pending. */
+  _setValidating(pending) {
+    const title = this.renderRoot?.querySelector('da-title');
+    if (title) title.validating = !!pending;
   }
 
   /** Save handler: serialize current form to DA. */
   async _handleSave(e) {
-    const resp = await this._services.backend.saveDocument(e.detail, { storageVersion: this._storageVersion });
-    if (!resp?.ok) {
-      this.handleError(resp, 'save');
+    await this._save(e.detail);
+  }
+
+  /**
+   * Save details to DA, reflecting progress in `saveStatus`. An autosave
+   * failure only shows in the title (with a retry); a conflict opens the merge.
+   */
+  async _save(detail, { auto = false } = {}) {
+    clearTimeout(this._autosaveTimer);
+    this._saving = true;
+    this.saveStatus = { state: 'saving' };
+    try {
+      const resp = await this._services.backend.saveDocument(detail, { storageVersion: this._storageVersion, schema: this._schema });
+      if (resp?.conflict) {
+        this.saveStatus = { state: 'dirty' };
+        this._openConflict(resp.conflict);
+      } else if (!resp?.ok) {
+        const message = resp?.error?.message || (resp?.daStatus ? `DA responded ${resp.daStatus}` : 'network error');
+        this.saveStatus = { state: 'error', message };
+        if (!auto) this.handleError(resp, 'save');
+      } else {
+        this._markSaved(detail);
+      }
+    } finally {
+      this._saving = false;
     }
   }
 
+  /** Record `detail` as saved; edits made meanwhile stay unsaved and are autosaved later. */
+  _markSaved(detail) {
+    this._baseDocument = this._toMergeTree(detail);
+    if (this._isDirty()) {
+      this.saveStatus = { state: 'dirty' };
+      this._scheduleAutosave();
+    } else {
+      this.saveStatus = { state: 'saved', at: new Date() };
+    }
+  }
+
+  /** Whether the document differs from what was last read from or saved to DA. */
+  _isDirty() {
+    if (!this._baseDocument || !this.documentData) return false;
+    return JSON.stringify(this._toMergeTree(this._getSaveDetail())) !== JSON.stringify(this._baseDocument);
+  }
+
+  /** Keep a local draft of an edit, and mark it unsaved for autosave. */
+  _onDocumentEdited() {
+    this._saveDraft();
+    if (this._saving || !this._isDirty()) return;
+    this.saveStatus = { state: 'dirty' };
+    this._scheduleAutosave();
+  }
+
+  /** (Re)start the idle timer of autosave. */
+  _scheduleAutosave() {
+    clearTimeout(this._autosaveTimer);
+    if (!this._autosaveDelay) return;
+    this._autosaveTimer = setTimeout(() => this._autosave(), this._autosaveDelay);
+  }
+
+  /**
+   * Save unsaved changes to DA unless the form has errors, is still being
+   * validated, a save is running or a dialog awaits a decision.
+   */
+  async _autosave() {
+    clearTimeout(this._autosaveTimer);
+    if (!this._autosaveDelay || this._saving || !this._isDirty()) return;
+    if (this._hasErrors || this._validating) return;
+    if (this.conflict || this.draft || this.migration || this.history || this.showSchemaDialog) return;
+    this._flushFormData();
+    await this._save(this._getSaveDetail(), { auto: true });
+  }
+
+
+  /** Page title and forms of save details, the tree merged on a conflict. */
+  _toMergeTree(detail) {
+    return {
+      title: detail.formMeta?.title || '',
+      forms: (detail.forms || []).map(({ name, schemaId, data }) => ({ name, schemaId, data })),
+    };
+  }
+
+  /**
+   * Replace the page title and forms in the editor (keeping the active form
+   * position), remounting the form when its schema changes.
+   */
+  async _applyDocument({ title, forms }) {
+    const index = Math.min(this.activeForm, forms.length - 1);
+    const mountedSchema = this.documentData?.schemaId;
+    this._setActiveForm(forms, index);
+    this.documentData = { ...this.documentData, title };
+    if (forms[index].schemaId !== mountedSchema || !this._formApi) {
+      await this._mountActiveForm();
+    } else {
+      this._formApi.updateData(forms[index].data || {});
+    }
+    this._onDocumentEdited();
+  }
+
+  /** Open the merge dialog for a document changed remotely since it was read or saved. */
+  _openConflict({ version, document }) {
+    this._flushFormData();
+    const mine = this._toMergeTree(this._getSaveDetail());
+    const theirs = {
+      title: document.title || '',
+      forms: (document.forms || [{ name: '', schemaId: document.schemaId, data: document.formData }])
+        .map(({ name, schemaId, data }) => ({ name, schemaId, data })),
+    };
+    const fields = this._services.merge.diff(this._baseDocument || { title: '', forms: [] }, mine, theirs);
+    this.conflict = {
+      version, mine, theirs, fields, busy: false, error: '',
+    };
+  }
+
+  /** Pick the side (`mine` or `theirs`) of one merge field, or of all of them. */
+  _chooseConflictSide(choice, path) {
+    const fields = this.conflict.fields.map((f) => (path === undefined || f.path === path ? { ...f, choice } : f));
+    this.conflict = { ...this.conflict, fields };
+  }
+
+  /**
+   * Apply the merge to the editor and save it over the remote version it was
+   * built against; a newer remote change reopens the dialog.
+   */
+  async _resolveConflict() {
+    const { version, mine, theirs, fields } = this.conflict;
+    const merged = this._services.merge.merge(mine, fields);
+    await this._applyDocument({ title: merged.title, forms: merged.forms?.length ? merged.forms : mine.forms });
+    // The remote document is what this merge started from
+    this._baseDocument = theirs;
+    this.conflict = { ...this.conflict, busy: true, error: '' };
+    const detail = this._getSaveDetail();
+    const resp = await this._services.backend.saveDocument(detail, {
+      storageVersion: this._storageVersion, schema: this._schema, baseVersion: version,
+    });
+    if (resp?.conflict) {
+      this._openConflict(resp.conflict);
+    } else if (!resp?.ok) {
+      this.conflict = { ...this.conflict, busy: false, error: `Save failed (${resp?.daStatus || resp?.error?.message || 'network error'})` };
+    } else {
+      this.conflict = null;
+      this._markSaved(detail);
+    }
+  }
+
+  /** Keep the edited document as a local draft (not while a recovered one awaits a decision). */
+  _saveDraft() {
+    if (this.draft || !this._pagePath) return;
+    const tree = this._toMergeTree(this._getSaveDetail());
+    if (JSON.stringify(tree) === JSON.stringify(this._baseDocument)) return;
+    this._services.drafts.save(this._pagePath, this.documentData?.schemaId, tree).catch((e) => {
+      // eslint-disable-next-line no-console
+      console.warn('[forms-editor] draft not saved:', e);
+    });
+  }
+
+  /**
+   * Offer the newest local draft of the page when it is newer than the DA
+   * document and differs from it; older drafts are dropped.
+   */
+  async _checkDraft(pagePath) {
+    try {
+      const modified = Date.parse(this.documentData?.lastModified || '');
+      if (modified) await this._services.drafts.clear(pagePath, { before: modified });
+      const [record] = await this._services.drafts.list(pagePath);
+      if (!record) return;
+      const entries = this._services.history.diff(null, this._baseDocument, record.document);
+      if (!entries.length) {
+        await this._services.drafts.clear(pagePath);
+        return;
+      }
+      this.draft = { pagePath, record, entries };
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('[forms-editor] drafts unavailable:', e);
+    }
+  }
+
+  /** Load the recovered draft into the editor; it stays a draft until saved. */
+  async _restoreDraft() {
+    const { document } = this.draft.record;
+    this.draft = null;
+    await this._applyDocument({ title: document.title, forms: document.forms });
+  }
+
+  /** Drop the recovered draft and every other draft of the page. */
+  async _discardDraft() {
+    const { pagePath } = this.draft;
+    this.draft = null;
+    await this._services.drafts.clear(pagePath).catch((e) => {
+      // eslint-disable-next-line no-console
+      console.warn('[forms-editor] drafts not cleared:', e);
+    });
+  }
+
+  /** Open the version history dialog and compare the newest version with the active form. */
+  async _openHistory() {
+    this._flushFormData();
+    this.history = {
+      versions: [], url: '', version: null, entries: [], selected: new Set(), loading: true, error: '',
+    };
+    try {
+      const { ext } = this._services.storage.getFormat(this._storageVersion);
+      const versions = await this._services.backend.listVersions(this._pagePath, { ext });
+      this.history = { ...this.history, versions, loading: false };
+      if (versions.length) await this._selectVersion(versions[0].url);
+    } catch (e) {
+      this.history = { ...this.history, loading: false, error: `Failed to load versions: ${e?.message || e}` };
+    }
+  }
+
+  /** The form of a version matching the active form: same name, else same position. */
+  _versionForm(version) {
+    const forms = version.forms || [{ name: '', schemaId: version.schemaId, data: version.formData }];
+    const { name } = this._getForms()[this.activeForm] || {};
+    return (name && forms.find((f) => f.name === name)) || forms[this.activeForm] || forms[0];
+  }
+
+  /** Load a version and diff its matching form against the active form. */
+  async _selectVersion(url) {
+    this.history = {
+      ...this.history, url, version: null, entries: [], selected: new Set(), loading: true, error: '',
+    };
+    try {
+      const version = await this._services.backend.readVersion(url, { storageVersion: this._storageVersion });
+      if (this.history?.url !== url) return;
+      const entries = this._services.history.diff(this._schema, this._versionForm(version)?.data || {}, this.documentData?.formData || {});
+      this.history = { ...this.history, version, entries, loading: false };
+    } catch (e) {
+      if (this.history?.url !== url) return;
+      this.history = { ...this.history, loading: false, error: `Failed to read version: ${e?.message || e}` };
+    }
+  }
+
+  /** Check or uncheck a diff entry for a partial restore. */
+  _toggleHistoryEntry(id, checked) {
+    const selected = new Set(this.history.selected);
+    if (checked) selected.add(id);
+    else selected.delete(id);
+    this.history = { ...this.history, selected };
+  }
+
+  /** Restore the page title and every form of the selected version; saving keeps it. */
+  async _restoreVersion() {
+    const { version } = this.history;
+    const forms = (version.forms || [{ name: '', schemaId: version.schemaId, data: version.formData }])
+      .map(({ name, schemaId, data }) => ({ name, schemaId, data }));
+    this.history = null;
+    await this._applyDocument({ title: version.title, forms });
+  }
+
+  /** Restore the checked fields of the active form from the selected version. */
+  _restoreHistoryFields() {
+    const { entries, selected } = this.history;
+    const data = this._services.history.restore(this.documentData?.formData || {}, entries.filter((e) => selected.has(e.id)));
+    this.documentData = { ...this.documentData, formData: data };
+    this._formApi?.updateData(data);
+    this.history = null;
+    this._onDocumentEdited();
+  }
+
   /** Preview/Publish handler: save to DA, then trigger AEM actions. */
   async _handlePreviewPublish(e) {
     const { action, location } = e.detail;
@@ -408,22 +969,24 @@ class FormsEditor extends LitElement {
     location.classList.add("is-sending");
 
     if (action === "preview" || action === "publish") {
-      const formMeta = {
-        title: this.documentData?.title || '',
-        schemaId: this.documentData?.schemaId || this.selectedSchema || '',
-      };
-      const detail = {
-        pagePath: this._pagePath,
-        formMeta,
-        formData: this.documentData?.formData || null,
-      };
-      const daResp = await this._services.backend.saveDocument(detail, { storageVersion: this._storageVersion });
+      this._flushFormData();
+      const detail = this._getSaveDetail();
+      const daResp = await this._services.backend.saveDocument(detail, { storageVersion: this._storageVersion, schema: this._schema });
+      if (daResp.conflict) {
+        // Resolve first; preview/publish again once the merge is saved
+        location.classList.remove("is-sending");
+        this._openConflict(daResp.conflict);
+        return;
+      }
       if (daResp.error) {
         this.handleError(daResp, action, location);
         return;
       }
+      this._markSaved(detail);
 
-      const aemPath = `/${org}/${repo}${this._pagePath}`;
+      // Non-HTML resources (json storage) are addressed with their extension in AEM
+      const { ext } = this._services.storage.getFormat(this._storageVersion);
+      const aemPath = `/${org}/${repo}${this._pagePath}${ext === 'html' ? '' : `.${ext}`}`;
       let json = await this._services.backend.saveToAem(aemPath, "preview");
       if (json.error) {
         this.handleError(json, action, location);
@@ -435,15 +998,289 @@ class FormsEditor extends LitElement {
           this.handleError(json, action, location);
           return;
         }
-        this._services.backend.saveDaVersion(aemPath);
+        // The page is live either way: report a missing version label, then still open it
+        const versionResp = await this._services.backend.saveDaVersion(`/${org}/${repo}${this._pagePath}`, ext);
+        if (versionResp.error) this.handleError(versionResp, 'label the published version', location);
       }
 
-      const toOpenInAem = `${MHAST_LIVE}${aemPath}?head=false&schema=true${action === "preview" ? "&preview=true" : ""}`;
-      window.open(toOpenInAem, '_blank');
+      // JSON resources are served as-is by AEM; HTML pages go through the mhast converter
+      const toOpenInAem = ext === 'html'
+        ? `${MHAST_LIVE}${aemPath}?head=false&schema=true${action === "preview" ? "&preview=true" : ""}`
+        : json?.[action === "preview" ? "preview" : "live"]?.url;
+      if (toOpenInAem) window.open(toOpenInAem, '_blank');
     }
     location.classList.remove("is-sending");
   }
 
+  /** Storage format conversion dialog with a before/after preview of the page source. */
+  _renderMigrationDialog() {
+    const { target, before, after, busy, error, leftover } = this.migration;
+    const targets = this._services.storage.getVersions().filter((v) => v !== this._storageVersion);
+    const close = () => { if (!busy) this.migration = null; };
+    const fromExt = this._services.storage.getFormat(this._storageVersion).ext;
+    const toExt = target ? this._services.storage.getFormat(target).ext : fromExt;
+    let actionLabel = busy ? 'Converting…' : 'Convert';
+    if (leftover) actionLabel = busy ? 'Deleting…' : `Delete .${leftover}`;
+    return html`
+      <div class="modal-overlay" role="dialog" aria-modal="true" aria-label="Convert storage format" @keydown=${(e) => { if (e.key === 'Escape') close(); }}>
+        <div class="modal-dialog modal-dialog-wide">
+          <div class="modal-header">Convert storage format</div>
+          <div class="modal-body">
+            <label for="migration-target">From <code>${this._storageVersion}</code> to</label>
+            <select id="migration-target" ?disabled=${busy || leftover} @change=${(e) => this._previewMigration(e.target.value)}>
+              ${targets.map((v) => html`<option value=${v} ?selected=${v === target}>${v}</option>`)}
+            </select>
+            ${!leftover && fromExt !== toExt ? html`<p>The page is saved as <code>.${toExt}</code> and its <code>.${fromExt}</code> source is deleted.</p>` : nothing}
+          </div>
+          <div class="migration-preview">
+            <div>
+              <div class="migration-preview-title">Before</div>
+              <pre>${before || 'Loading…'}</pre>
+            </div>
+            <div>
+              <div class="migration-preview-title">After</div>
+              <pre>${after || 'Loading…'}</pre>
+            </div>
+          </div>
+          ${error ? html`<div style="color:#b00020; margin: 0 0 10px 0;">${error}</div>` : nothing}
+          <div class="modal-footer">
+            <button class="btn btn-secondary" ?disabled=${busy} @click=${close}>Cancel</button>
+            <button class="btn btn-primary" ?disabled=${busy || (!after && !leftover)} @click=${() => this._runMigration()}>${actionLabel}</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Readable label of a document field path (`forms[0].data.hero.title` →
+   * `hero.title`), naming the form when `forms` has several.
+   */
+  _conflictFieldLabel(path, forms = this.conflict?.mine.forms || []) {
+    if (path === 'title') return 'Page title';
+    const match = path.match(/^forms\[(\d+)\](?:\.(data|name|schemaId))?\.?(.*)$/);
+    if (!match) return path;
+    const [, index, part, rest] = match;
+    const form = forms.length > 1 ? `${forms[index]?.name || `Form ${Number(index) + 1}`} › ` : '';
+    if (part === 'name') return `${form}Form name`;
+    if (part === 'schemaId') return `${form}Schema`;
+    return `${form}${rest || '(all fields)'}`;
+  }
+
+  /** Three-way merge dialog: per field, keep mine or take theirs (the remote change). */
+  _renderConflictDialog() {
+    const { fields, busy, error } = this.conflict;
+    const show = (value) => {
+      if (value === undefined) return html`<em>(none)</em>`;
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    };
+    const conflicts = fields.filter((f) => f.status === 'conflict').length;
+    return html`
+      <div class="modal-overlay" role="dialog" aria-modal="true" aria-label="Resolve save conflict">
+        <div class="modal-dialog modal-dialog-wide">
+          <div class="modal-header">This page was changed by someone else</div>
+          <p class="modal-desc">
+            ${fields.length} field${fields.length === 1 ? '' : 's'} differ${fields.length === 1 ? 's' : ''}, ${conflicts} changed on both sides.
+            Changes made on one side only are preselected; choose which version to keep, then save the merge.
+          </p>
+          <div class="merge-table-wrap">
+            <table class="merge-table">
+              <thead>
+                <tr><th>Field</th><th>Original</th><th>Mine</th><th>Theirs</th></tr>
+              </thead>
+              <tbody>
+                ${fields.map((f) => html`
+                  <tr class=${f.status === 'conflict' ? 'is-conflict' : ''}>
+                    <th scope="row">${this._conflictFieldLabel(f.path)}</th>
+                    <td>${show(f.base)}</td>
+                    <td>
+                      <label><input type="radio" name=${`merge-${f.path}`} ?disabled=${busy} .checked=${f.choice === 'mine'} @change=${() => this._chooseConflictSide('mine', f.path)}> ${show(f.mine)}</label>
+                    </td>
+                    <td>
+                      <label><input type="radio" name=${`merge-${f.path}`} ?disabled=${busy} .checked=${f.choice === 'theirs'} @change=${() => this._chooseConflictSide('theirs', f.path)}> ${show(f.theirs)}</label>
+                    </td>
+                  </tr>
+                `)}
+              </tbody>
+            </table>
+          </div>
+          ${error ? html`<div style="color:#b00020; margin: 0 0 10px 0;">${error}</div>` : nothing}
+          <div class="modal-footer">
+            <button class="btn btn-secondary" ?disabled=${busy} @click=${() => { this.conflict = null; }}>Cancel</button>
+            <button class="btn btn-secondary" ?disabled=${busy} @click=${() => this._chooseConflictSide('mine')}>Keep all mine</button>
+            <button class="btn btn-secondary" ?disabled=${busy} @click=${() => this._chooseConflictSide('theirs')}>Take all theirs</button>
+            <button class="btn btn-primary" ?disabled=${busy} @click=${() => this._resolveConflict()}>${busy ? 'Saving…' : 'Save merge'}</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /** Draft recovery dialog: what the local draft changes compared to the page in DA. */
+  _renderDraftDialog() {
+    const { record, entries } = this.draft;
+    const show = (value) => {
+      if (value === undefined) return html`<em>(none)</em>`;
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    };
+    const sides = (e) => {
+      if (e.kind === 'moved') return [`Position ${e.from + 1}`, `Position ${e.to + 1}`];
+      return [show(e.before), show(e.after)];
+    };
+    return html`
+      <div class="modal-overlay" role="dialog" aria-modal="true" aria-label="Recover unsaved changes">
+        <div class="modal-dialog modal-dialog-wide">
+          <div class="modal-header">Unsaved changes found</div>
+          <p class="modal-desc">
+            Changes to this page from ${new Date(record.savedAt).toLocaleString()} were not saved to DA.
+            Restore them to keep editing, then save; or discard them.
+          </p>
+          <div class="merge-table-wrap">
+            <table class="merge-table">
+              <thead>
+                <tr><th>Field</th><th>In DA</th><th>Draft</th></tr>
+              </thead>
+              <tbody>
+                ${entries.map((e) => html`
+                  <tr class="history-${e.kind}">
+                    <th scope="row">${this._conflictFieldLabel(e.path, record.document.forms)}</th>
+                    ${sides(e).map((side) => html`<td>${side}</td>`)}
+                  </tr>
+                `)}
+              </tbody>
+            </table>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn-secondary" @click=${() => this._discardDraft()}>Discard</button>
+            <button class="btn btn-primary" @click=${() => this._restoreDraft()}>Restore</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /** Version history dialog: DA versions, and the diff of the selected one with the active form. */
+  _renderHistoryDialog() {
+    const {
+      versions, url, version, entries, selected, loading, error,
+    } = this.history;
+    const show = (value) => {
+      if (value === undefined) return html`<em>(none)</em>`;
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    };
+    const describe = (e) => {
+      if (e.kind === 'added') return html`Added since: ${show(e.after)}`;
+      if (e.kind === 'removed') return html`Removed since: ${show(e.before)}`;
+      if (e.kind === 'moved') return `Moved from position ${e.from + 1} to ${e.to + 1}`;
+      return html`<del>${show(e.before)}</del> → <ins>${show(e.after)}</ins>`;
+    };
+    const close = () => { this.history = null; };
+    return html`
+      <div class="modal-overlay" role="dialog" aria-modal="true" aria-label="Version history" @keydown=${(e) => { if (e.key === 'Escape') close(); }}>
+        <div class="modal-dialog modal-dialog-wide">
+          <div class="modal-header">Version history</div>
+          <div class="history">
+            <ul class="history-versions">
+              ${!loading && !versions.length ? html`<li class="history-empty">No versions yet</li>` : nothing}
+              ${versions.map((v) => html`
+                <li>
+                  <button class="history-version ${v.url === url ? 'is-active' : ''}" @click=${() => this._selectVersion(v.url)}>
+                    <span>${new Date(v.timestamp).toLocaleString()}</span>
+                    ${v.label ? html`<span class="history-label">${v.label}</span>` : nothing}
+                    <span class="history-users">${v.users.join(', ')}</span>
+                  </button>
+                </li>
+              `)}
+            </ul>
+            <div class="history-diff">
+              ${loading ? html`<p class="modal-desc">Loading…</p>` : nothing}
+              ${version && !entries.length ? html`<p class="modal-desc">This form is the same as in this version.</p>` : nothing}
+              ${entries.length ? html`
+                <table class="merge-table">
+                  <thead>
+                    <tr><th></th><th>Field</th><th>This version → now</th></tr>
+                  </thead>
+                  <tbody>
+                    ${entries.map((e) => html`
+                      <tr class="history-${e.kind}">
+                        <td><input type="checkbox" aria-label="Restore ${e.labels.join(' › ')}" .checked=${selected.has(e.id)} @change=${(ev) => this._toggleHistoryEntry(e.id, ev.target.checked)}></td>
+                        <th scope="row">${e.labels.join(' › ') || '(all fields)'}</th>
+                        <td>${describe(e)}</td>
+                      </tr>
+                    `)}
+                  </tbody>
+                </table>
+              ` : nothing}
+            </div>
+          </div>
+          ${error ? html`<div style="color:#b00020; margin: 0 0 10px 0;">${error}</div>` : nothing}
+          <div class="modal-footer">
+            <button class="btn btn-secondary" @click=${close}>Close</button>
+            <button class="btn btn-secondary" ?disabled=${!selected.size} @click=${() => this._restoreHistoryFields()}>Restore selected</button>
+            <button class="btn btn-primary" ?disabled=${!version} @click=${() => this._restoreVersion()}>Restore this version</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /** Forms of the document, with actions to switch, add, reorder and remove them. */
+  _renderFormList() {
+    const forms = this._getForms();
+    const last = forms.length - 1;
+    const label = (form, index) => form.name
+      || this.schemas.find((s) => s.id === form.schemaId)?.name
+      || form.schemaId
+      || `Form ${index + 1}`;
+    return html`
+      <nav class="form-list" aria-label="Forms on this page">
+        <div class="form-list-items" role="tablist">
+          ${forms.map((form, index) => html`
+            <button role="tab" class="form-list-item ${index === this.activeForm ? 'is-active' : ''}" aria-selected=${String(index === this.activeForm)} @click=${() => this._selectForm(index)}>
+              ${label(form, index)}
+            </button>
+          `)}
+        </div>
+        <div class="form-list-actions">
+          ${forms.length > 1 ? html`
+            <button class="btn btn-secondary" aria-label="Move form up" ?disabled=${this.activeForm === 0} @click=${() => this._moveForm(-1)}>↑</button>
+            <button class="btn btn-secondary" aria-label="Move form down" ?disabled=${this.activeForm === last} @click=${() => this._moveForm(1)}>↓</button>
+            ${this.removingForm ? html`
+              <button class="btn btn-secondary" @click=${() => { this.removingForm = false; }}>Keep</button>
+              <button class="btn btn-danger" @click=${() => this._removeForm()}>Remove “${label(forms[this.activeForm], this.activeForm)}”</button>
+            ` : html`<button class="btn btn-secondary" @click=${() => { this.removingForm = true; }}>Remove…</button>`}
+          ` : nothing}
+          <button class="btn btn-secondary" @click=${() => this._openAddForm()}>Add form…</button>
+        </div>
+      </nav>
+    `;
+  }
+
+  /** Selectors that matched nothing and page content left out by the last import. */
+  _renderImportReport() {
+    const { unmatched = [], leftover = [] } = this.importReport || {};
+    return html`
+      <section class="import-report" aria-label="Import report">
+        <div class="import-report-header">
+          <span>Imported from page: ${unmatched.length} unmatched selector${unmatched.length === 1 ? '' : 's'}, ${leftover.length} leftover element${leftover.length === 1 ? '' : 's'}</span>
+          <button class="btn btn-secondary" @click=${() => { this.importReport = null; }}>Dismiss</button>
+        </div>
+        ${unmatched.length ? html`
+          <h3>Unmatched selectors</h3>
+          <ul>
+            ${unmatched.map((u) => html`<li><code>${u.path}</code> → <code>${u.selector || ''}${u.attribute ? `@${u.attribute}` : ''}</code></li>`)}
+          </ul>
+        ` : nothing}
+        ${leftover.length ? html`
+          <h3>Leftover content</h3>
+          <ul>
+            ${leftover.map((l) => html`<li><code>${l.element}</code> ${l.text}</li>`)}
+          </ul>
+        ` : nothing}
+      </section>
+    `;
+  }
+
   render() {
     if (this.error) {
       return html`
@@ -464,12 +1301,18 @@ class FormsEditor extends LitElement {
     }
 
     return html`
-      <da-title details=${JSON.stringify(this._getPathDetails())}></da-title>
+      <da-title details=${JSON.stringify(this._getPathDetails())} .saveStatus=${this.saveStatus}></da-title>
       <div>
         ${this.showSchemaDialog ? html`
           <div class="modal-overlay" role="dialog" aria-modal="true">
             <div class="modal-dialog">
-              <div class="modal-header">Select a Form Schema</div>
+              <div class="modal-header">${this.newForm ? 'Add a Form' : 'Select a Form Schema'}</div>
+              ${this.newForm ? html`
+                <div class="modal-body">
+                  <label for="form-name" style="min-width:72px;">Name</label>
+                  <input id="form-name" style="flex:1;" .value=${this.newForm.name} @input=${(e) => { this.newForm = { name: e.target.value }; }}>
+                </div>
+              ` : nothing}
               <div class="modal-body">
                 <label for="schema-select" style="min-width:72px;">Schema</label>
                 <select id="schema-select" style="flex:1;" @change=${(e) => this.onSchemaChange(e)}>
@@ -478,16 +1321,32 @@ class FormsEditor extends LitElement {
                   ${this.schemas.map((it) => html`<option value=${it.id} ?selected=${it.id===this.selectedSchema}>${it.name}</option>`)}
                 </select>
               </div>
+              ${this._importSource ? html`
+                <label class="modal-import">
+                  <input type="checkbox" .checked=${this.importFromPage} @change=${(e) => { this.importFromPage = e.target.checked; }}>
+                  Import content from this page
+                </label>
+              ` : nothing}
               ${this.schemaError ? html`<div style="color:#b00020; margin: -4px 0 10px 0;">${this.schemaError}</div>` : nothing}
               <div class="modal-footer">
-                <button class="btn btn-secondary" @click=${() => { this.showSchemaDialog = false; }}>Cancel</button>
-                <button class="btn btn-primary" @click=${() => this.loadSelectedSchema()} ?disabled=${!this.selectedSchema}>Continue</button>
+                <button class="btn btn-secondary" @click=${() => this._closeSchemaDialog()}>Cancel</button>
+                <button class="btn btn-primary" @click=${() => this.loadSelectedSchema()} ?disabled=${!this.selectedSchema || (this.newForm && !this.newForm.name.trim())}>Continue</button>
               </div>
             </div>
           </div>
         ` : nothing}
 
-        ${nothing}
+        ${this.migration ? this._renderMigrationDialog() : nothing}
+        ${this.conflict ? this._renderConflictDialog() : nothing}
+        ${this.history ? this._renderHistoryDialog() : nothing}
+        ${this.draft ? this._renderDraftDialog() : nothing}
+        ${this.importReport ? this._renderImportReport() : nothing}
+        <div class="storage-toolbar">
+          <span>Storage format: <code>${this._storageVersion}</code></span>
+          <button class="btn btn-secondary" @click=${() => this._openMigration()}>Convert format…</button>
+          <button class="btn btn-secondary" @click=${() => this._openHistory()}>History…</button>
+        </div>
+        ${this.documentData.schemaId ? this._renderFormList() : nothing}
         <div id="form-root"></div>
 
         <h2>Document Data</h2>
@@ -3,7 +3,7 @@
  *
  * Factory returning high-level commands that mutate the data model and then
  * rebuild the UI, keeping validation and navigation in sync.
- * Exposes: activateOptional, addArrayItem, removeArrayItem, reorderArrayItem, resetAll.
+ * Exposes: activateOptional, addArrayItem, removeArrayItem, reorderArrayItem, selectVariant, resetAll.
  */
 
 /**
@@ -13,13 +13,14 @@
  *  addArrayItem(arrayPath:string):void,
  *  removeArrayItem(arrayPath:string,index:number):void,
  *  reorderArrayItem(arrayPath:string,fromIndex:number,toIndex:number):void,
+ *  selectVariant(path:string,index:number):void,
  *  resetAll():void
  * }}
  */
 export default function createFormCommands(generator) {
   return {
     activateOptional(path) {
-      const node = generator.model.resolveSchemaByPath(path);
+      const node = generator.model.resolveSchemaByPath(path, generator.data);
       if (!node) return;
       generator.onActivateOptionalGroup(path, node);
       const normalized = generator.normalizeSchema(node);
@@ -40,7 +41,7 @@ export default function createFormCommands(generator) {
 
     addArrayItem(arrayPath) {
       generator.updateData();
-      const node = generator.model.resolveSchemaByPath(arrayPath);
+      const node = generator.model.resolveSchemaByPath(arrayPath, generator.data);
       const normalized = generator.normalizeSchema(node);
       if (!normalized || normalized.type !== 'array') return;
       const baseItem = generator.createDefaultObjectFromSchema(
@@ -64,6 +65,27 @@ export default function createFormCommands(generator) {
       generator.reorderArrayItem(arrayPath, fromIndex, toIndex);
     },
 
+    selectVariant(path, index) {
+      generator.updateData();
+      const node = generator.model.resolveSchemaByPath(path, generator.data);
+      const schemaSvc = generator.services.schema;
+      const variants = schemaSvc.getVariants(generator.schema, node);
+      if (!variants || !variants.options[index]) return;
+      // Start from the new branch's defaults, carrying over values of fields it shares with the old one
+      const branch = schemaSvc.mergeVariant(generator.schema, node, variants.keyword, index);
+      const next = generator.createDefaultObjectFromSchema(branch);
+      const current = generator.model.getNestedValue(generator.data, path) || {};
+      Object.keys(branch.properties || {}).forEach((key) => {
+        const isFixed = Object.prototype.hasOwnProperty.call(generator.normalizeSchema(branch.properties[key]) || {}, 'const');
+        const compatible = next[key] == null || typeof next[key] === typeof current[key];
+        if (!isFixed && current[key] !== undefined && compatible) next[key] = current[key];
+      });
+      generator.model.setNestedValue(generator.data, path, next);
+      generator.listeners.forEach((listener) => listener(generator.data));
+      generator.rebuildBody();
+      generator.validation.validateAllFields();
+    },
+
     resetAll() {
       const base = generator.generateBaseJSON(generator.schema);
       generator.data = base;
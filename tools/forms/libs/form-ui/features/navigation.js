@@ -8,6 +8,7 @@ import { getDeepActiveElement } from '../utils/dom-utils.js';
 import { UI_CLASS as CLASS } from '../constants.js';
 import { render } from 'da-lit';
 import { breadcrumbItemTemplate, breadcrumbSeparatorTemplate } from '../templates/nav.js';
+import withVariantLabel from '../utils/variant-utils.js';
 import { createTreeClickHandler } from './navigation/handlers/click.js';
 import { enableHoverSync } from './navigation/sync/hover.js';
 import { enableScrollSync } from './navigation/sync/scrollspy.js';
@@ -58,14 +59,16 @@ export default class FormNavigation {
    * @returns {string|null} - Best descendant group path or null if none
    */
   resolveFirstDescendantGroupPath(sectionPath) {
-    const sectionSchema = this.formGenerator.model.resolveSchemaByPath(sectionPath);
-    const norm = this.formGenerator.normalizeSchema(this.formGenerator.derefNode(sectionSchema) || sectionSchema || {});
+    const sectionSchema = this.formGenerator.model.resolveSchemaByPath(sectionPath, this.formGenerator.data);
+    const norm = this.formGenerator.resolveEffectiveSchema(this.formGenerator.derefNode(sectionSchema) || sectionSchema || {}, sectionPath);
     if (!norm || !norm.properties) return null;
     // Prefer direct children with primitives
     for (const [key, child] of Object.entries(norm.properties)) {
       const eff = this.formGenerator.normalizeSchema(this.formGenerator.derefNode(child) || child || {});
       if (!eff) continue;
       const childPath = sectionPath ? `${sectionPath}.${key}` : key;
+      // Object unions always render their own group (variant selector)
+      if (this.formGenerator.getVariantAtPath(eff, childPath)) return childPath;
       if (eff.type === 'object' && eff.properties) {
         if (this.formGenerator.hasPrimitiveFields(eff)) return childPath;
         // Otherwise recurse
@@ -238,7 +241,7 @@ export default class FormNavigation {
     // Schema/data-driven breadcrumb: use stored group schema path and schema titles
     // Use schema-driven active path and schema; no DOM fallbacks
     const schemaPath = this.formGenerator?.activeSchemaPath || '';
-    const buildTitleForToken = (parentSchema, token, index) => {
+    const buildTitleForToken = (parentSchema, token, index, path) => {
       const m = token.match(/^([^\[]+)(?:\[(\d+)\])?$/);
       const key = m ? m[1] : token;
       const idx = m && m[2] ? Number(m[2]) : null;
@@ -247,12 +250,17 @@ export default class FormNavigation {
       const propNorm = this.formGenerator.normalizeSchema(this.formGenerator.derefNode(propSchema) || propSchema || {});
       if (propNorm?.type === 'array') {
         const title = this.formGenerator.getSchemaTitle(propNorm, key);
+        const items = this.formGenerator.derefNode(propNorm.items) || propNorm.items;
         const labels = [];
         if (title) labels.push(title);
-        if (idx != null) labels.push(`${title} #${(idx || 0) + 1}`);
-        return { label: labels, nextSchema: this.formGenerator.derefNode(propNorm.items) || propNorm.items };
+        if (idx != null) {
+          const variant = this.formGenerator.getVariantAtPath(items, `${path}[${idx}]`);
+          labels.push(withVariantLabel(`${title} #${(idx || 0) + 1}`, variant?.title));
+        }
+        return { label: labels, nextSchema: items };
       }
-      return { label: [this.formGenerator.getSchemaTitle(propNorm || {}, key)], nextSchema: propNorm };
+      const variant = this.formGenerator.getVariantAtPath(propNorm || {}, path);
+      return { label: [withVariantLabel(this.formGenerator.getSchemaTitle(propNorm || {}, key), variant?.title)], nextSchema: propNorm };
     };
     // Build clickable crumbs
     bc.innerHTML = '';
@@ -270,8 +278,10 @@ export default class FormNavigation {
       const m = tok.match(/^([^\[]+)(?:\[(\d+)\])?$/);
       const key = m ? m[1] : tok;
       const idx = m && m[2] ? Number(m[2]) : null;
+      // Object unions/conditionals: continue through the branches active for the data at the parent path
+      curSchema = this.formGenerator.resolveEffectiveSchema(curSchema, accPath);
       accPath = accPath ? `${accPath}.${key}` : key;
-      const { label, nextSchema } = buildTitleForToken(curSchema, tok, idx);
+      const { label, nextSchema } = buildTitleForToken(curSchema, tok, idx, accPath);
 
       const addCrumb = (text, dataset) => {
         if (!text) return;
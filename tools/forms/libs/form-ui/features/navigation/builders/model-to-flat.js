@@ -2,6 +2,7 @@ import { render } from 'da-lit';
 import { navItemTemplate, navAddItemTemplate, navArrayChildItemTemplate, navSectionTitleTemplate } from '../../../templates/nav.js';
 import { pointerToInputName } from '../../../form-model/path-utils.js';
 import { hyphenatePath } from '../../../form-generator/path-utils.js';
+import withVariantLabel from '../../../utils/variant-utils.js';
 
 /**
  * Build flat nav item elements by traversing the read-only FormUiModel tree.
@@ -21,15 +22,20 @@ export function buildFlatNavFormUiModel(formGenerator, modelNode, level = 0, opt
   const dottedPath = modelNode.dataPath ? pointerToInputName(modelNode.dataPath) : 'root';
   const schemaSvc = formGenerator.context.services.schema;
   const pointer = modelNode.schemaPointer || '#';
-  const norm = schemaSvc.getEffectiveNodeAtPointer(formGenerator.schema, pointer) || {};
+  const pointed = schemaSvc.getEffectiveNodeAtPointer(formGenerator.schema, pointer) || {};
+  // Objects list the properties of the conditionals active for their data
+  const norm = modelNode.type === 'object'
+    ? formGenerator.resolveEffectiveSchema(pointed, dottedPath === 'root' ? '' : dottedPath)
+    : pointed;
 
   if (modelNode.type === 'object') {
-    const hasPrimitives = formGenerator.hasPrimitiveFields(norm);
+    // Object unions render as a group (variant selector), mirror that here
+    const hasPrimitives = formGenerator.hasPrimitiveFields(norm) || !!modelNode.variant;
     const hasChildren = !!(norm && norm.properties && Object.keys(norm.properties).length > 0);
     const titleKey = dottedPath === 'root' ? '' : (dottedPath.split('.').pop() || '');
     const title = dottedPath === 'root'
       ? (schemaSvc.getTitleAtPointer(formGenerator.schema, '#', '') || 'Form')
-      : schemaSvc.getTitleAtPointer(formGenerator.schema, pointer, titleKey);
+      : withVariantLabel(schemaSvc.getTitleAtPointer(formGenerator.schema, pointer, titleKey), modelNode.variant?.title);
 
     if (!suppressSelf) {
       if (hasPrimitives) {
@@ -83,7 +89,7 @@ export function buildFlatNavFormUiModel(formGenerator, modelNode, level = 0, opt
       const child = modelNode.items[i];
       const itemGroupId = formGenerator.arrayItemId(dottedPath, i);
       const mount = document.createElement('div');
-      render(navArrayChildItemTemplate({ groupId: itemGroupId, level: level + 1, arrayPath: dottedPath, itemIndex: i, title: `${itemTitle} #${i + 1}` }), mount);
+      render(navArrayChildItemTemplate({ groupId: itemGroupId, level: level + 1, arrayPath: dottedPath, itemIndex: i, title: withVariantLabel(`${itemTitle} #${i + 1}`, child?.variant?.title) }), mount);
       const itemNav = mount.firstElementChild;
       items.push(itemNav);
 
@@ -0,0 +1,212 @@
+/**
+ * Validation Summary
+ * Sidebar panel listing every field and group error (and warning) of the form
+ */
+import { render } from 'da-lit';
+import { validationSummaryTemplate } from '../templates/validation-summary.js';
+import { pathToGroupId, arrayItemId } from '../form-generator/path-utils.js';
+import withVariantLabel from '../utils/variant-utils.js';
+
+/**
+ * FormValidationSummary
+ *
+ * Collapsible panel above the navigation tree. Lists field and group errors
+ * (`fieldErrors`, `groupErrors`) and warnings (`fieldWarnings`,
+ * `groupWarnings`) in form order with their breadcrumb path and message, can
+ * be filtered by group, and navigates to the issue on click. `FormValidation.emitValidationState()` calls `update()`, so
+ * the list follows every validation run.
+ */
+export default class FormValidationSummary {
+  /** @param {import('../form-generator.js').default} generator */
+  constructor(generator) {
+    this.generator = generator;
+    this.element = null;
+    this.collapsed = false;
+    this.filter = '';
+  }
+
+  /**
+   * Create the panel below the sidebar header.
+   * @param {HTMLElement} sideEl - Sidebar root (`.form-side-panel`)
+   * @returns {HTMLElement}
+   */
+  init(sideEl) {
+    const main = sideEl.querySelector('.form-side-panel-main') || sideEl;
+    this.element = document.createElement('div');
+    this.element.className = 'form-validation-summary-host';
+    const header = main.querySelector('.form-side-panel-header');
+    if (header) header.insertAdjacentElement('afterend', this.element);
+    else main.prepend(this.element);
+    this.update();
+    return this.element;
+  }
+
+  /**
+   * Current errors and warnings in form order.
+   * @returns {Array<{ path:string, groupId:string, message:string, severity:'error'|'warning', labels:string[], order:number[], isGroup:boolean }>}
+   */
+  getEntries() {
+    const gen = this.generator;
+    const entries = [];
+    const collect = (fieldIssues, groupIssues, severity) => {
+      fieldIssues?.forEach((message, path) => {
+        entries.push({
+          path, message, severity, groupId: this.groupIdForPath(path), isGroup: false, ...this.describePath(path),
+        });
+      });
+      groupIssues?.forEach((message, groupId) => {
+        const path = gen.validation?.groupPaths?.get(groupId) ?? '';
+        entries.push({
+          path, message, severity, groupId, isGroup: true, ...this.describePath(path),
+        });
+      });
+    };
+    collect(gen.fieldErrors, gen.groupErrors, 'error');
+    collect(gen.fieldWarnings, gen.groupWarnings, 'warning');
+    return entries.sort((a, b) => this.compareOrder(a.order, b.order));
+  }
+
+  /**
+   * Breadcrumb labels and form-order key of a dotted path, following the
+   * schema (active variants and conditionals) like the content breadcrumb.
+   * @param {string} path - e.g. 'blocks[0].cta.url'
+   * @returns {{ labels:string[], order:number[] }}
+   */
+  describePath(path) {
+    const gen = this.generator;
+    const tokens = String(path || '').split('.').filter(Boolean);
+    if (!tokens.length) return { labels: [this.formTitle()], order: [] };
+    const labels = [];
+    const order = [];
+    let { schema } = gen;
+    let accPath = '';
+    tokens.forEach((tok) => {
+      const m = tok.match(/^([^[\]]+)(?:\[(\d+)\])?$/);
+      const key = m ? m[1] : tok;
+      const idx = m && m[2] !== undefined ? Number(m[2]) : null;
+      const parent = schema
+        ? gen.resolveEffectiveSchema(gen.normalizeSchema(gen.derefNode(schema) || schema) || {}, accPath)
+        : null;
+      const keys = Object.keys(parent?.properties || {});
+      const prop = parent?.properties?.[key];
+      const propNorm = prop ? gen.normalizeSchema(gen.derefNode(prop) || prop) : null;
+      const title = gen.getSchemaTitle(propNorm || {}, key);
+      accPath = accPath ? `${accPath}.${key}` : key;
+      order.push(keys.includes(key) ? keys.indexOf(key) : keys.length);
+      labels.push(title);
+      schema = propNorm;
+      if (idx === null) return;
+      const items = propNorm ? (gen.derefNode(propNorm.items) || propNorm.items) : null;
+      const variant = items ? gen.getVariantAtPath(items, `${accPath}[${idx}]`) : null;
+      labels.push(withVariantLabel(`${title} #${idx + 1}`, variant?.title));
+      accPath = `${accPath}[${idx}]`;
+      order.push(idx);
+      schema = items;
+    });
+    return { labels, order };
+  }
+
+  /** Compare two form-order keys; a group sorts before its descendants. */
+  compareOrder(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  }
+
+  /** Title of the root group, as shown in the navigation. */
+  formTitle() {
+    const gen = this.generator;
+    return gen.services.schema.getTitleAtPointer(gen.schema, '#', '') || 'Form';
+  }
+
+  /**
+   * Group that shows a field: its mapped group, else the closest rendered
+   * ancestor group or array item, else the root group.
+   * @param {string} path
+   * @returns {string}
+   */
+  groupIdForPath(path) {
+    const gen = this.generator;
+    const mapped = gen.fieldToGroup.get(path);
+    if (mapped) return mapped;
+    const candidates = [];
+    let cur = String(path || '');
+    while (cur) {
+      const item = cur.match(/^(.*)\[(\d+)\]$/);
+      if (item) {
+        candidates.push(arrayItemId(item[1], Number(item[2])));
+        [, cur] = item;
+      } else {
+        candidates.push(pathToGroupId(cur));
+        const dot = cur.lastIndexOf('.');
+        cur = dot >= 0 ? cur.slice(0, dot) : '';
+      }
+    }
+    return candidates.find((id) => gen.groupElements.has(id)) || pathToGroupId('root');
+  }
+
+  /** Groups having errors, in form order, for the filter. */
+  getGroups(entries) {
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const group = groups.get(entry.groupId);
+      if (group) {
+        group.count += 1;
+        return;
+      }
+      const labels = entry.isGroup ? entry.labels : entry.labels.slice(0, -1);
+      groups.set(entry.groupId, { id: entry.groupId, title: labels.join(' › ') || this.formTitle(), count: 1 });
+    });
+    return Array.from(groups.values());
+  }
+
+  /** Navigate to an entry's group, then scroll to and focus its field when rendered. */
+  jumpTo(entry) {
+    const gen = this.generator;
+    try {
+      gen.navigation.navigateToGroup(entry.groupId);
+      const el = entry.isGroup ? null : gen.fieldElements.get(entry.path);
+      if (el) {
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        el.focus({ preventScroll: true });
+      }
+      gen.navigation.updateActiveGroup(entry.groupId);
+      gen._programmaticScrollUntil = Date.now() + 1500;
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('[validation-summary] could not jump to', entry.path, e?.message || e);
+    }
+  }
+
+  /** Re-render from the generator's current error maps; hidden when there is nothing to report. */
+  update() {
+    if (!this.element || !this.generator) return;
+    const all = this.getEntries();
+    const pending = this.generator.validation?.getPendingCount?.() || 0;
+    const groups = this.getGroups(all);
+    if (this.filter && !groups.some((g) => g.id === this.filter)) this.filter = '';
+    const entries = this.filter ? all.filter((e) => e.groupId === this.filter) : all;
+    this.element.hidden = all.length === 0 && pending === 0;
+    const errors = all.filter((e) => e.severity === 'error').length;
+    render(validationSummaryTemplate({
+      entries,
+      total: all.length,
+      errors,
+      warnings: all.length - errors,
+      pending,
+      collapsed: this.collapsed,
+      groups,
+      filter: this.filter,
+      onToggle: () => { this.collapsed = !this.collapsed; this.update(); },
+      onFilter: (e) => { this.filter = e.target.value; this.update(); },
+      onSelect: (entry) => this.jumpTo(entry),
+    }), this.element);
+  }
+
+  /** Remove the panel. */
+  destroy() {
+    this.element?.remove();
+    this.element = null;
+  }
+}
@@ -13,9 +13,12 @@ import { pointerToInputName } from '../form-model/path-utils.js';
  *
  * Responsibilities:
  * - Validate fields on input/blur using the injected `ValidationService`
- * - Maintain per-field and per-group error maps on the generator
+ * - Maintain per-field and per-group error and warning maps on the generator
+ * - Keep warnings advisory: they are shown and counted but never block preview/publish
  * - Provide UX helpers: inline error messages and nav error badges
  * - Support jumping to the first error in a group and batch validations
+ * - Run debounced, cancellable `x-async-validate` checks with a pending,
+ *   valid or invalid state per field
  */
 export default class FormValidation {
   /**
@@ -27,17 +30,24 @@ export default class FormValidation {
     this.context = context;
     this.formGenerator = formGenerator;
     this.validationService = context.services.validation;
+    // Async checks by field path: { state, key, error, timer, controller }
+    this.asyncChecks = new Map();
+    this._settledWaiters = [];
+    // Dotted data path of each group error/warning, by group id (for the summary panel)
+    this.groupPaths = new Map();
   }
 
   /**
    * Scroll to and focus the first invalid control across the entire form.
    * Falls back to the first group-level error if no field-level errors exist.
+   * @param {'error'|'warning'} [severity='error'] - Which issues to jump to
    */
-  scrollToFirstErrorAcrossForm() {
+  scrollToFirstErrorAcrossForm(severity = 'error') {
+    const { fieldIssues, groupIssues } = this.issueMaps(severity);
     // Prefer first field-level error in render/insertion order
     let targetFieldPath = null;
     for (const fieldPath of this.formGenerator.fieldElements.keys()) {
-      if (this.formGenerator.fieldErrors.has(fieldPath)) { targetFieldPath = fieldPath; break; }
+      if (fieldIssues.has(fieldPath)) { targetFieldPath = fieldPath; break; }
     }
 
     if (targetFieldPath) {
@@ -59,7 +69,7 @@ export default class FormValidation {
     }
 
     // Fallback: first group-level error (e.g., empty required array)
-    const firstGroup = this.formGenerator.groupErrors.keys().next();
+    const firstGroup = groupIssues.keys().next();
     if (!firstGroup.done) {
       const gid = firstGroup.value;
       try { this.formGenerator.navigation.navigateToGroup(gid); } catch {}
@@ -67,13 +77,23 @@ export default class FormValidation {
     }
   }
 
+  /** Field and group maps holding issues of `severity`. */
+  issueMaps(severity = 'error') {
+    const { formGenerator } = this;
+    return severity === 'warning'
+      ? { fieldIssues: formGenerator.fieldWarnings, groupIssues: formGenerator.groupWarnings }
+      : { fieldIssues: formGenerator.fieldErrors, groupIssues: formGenerator.groupErrors };
+  }
+
   /**
    * Scroll to and focus the first invalid control within a given group.
    * Uses generator maps to resolve the field element efficiently.
    * @param {string} groupId - Target group DOM id
+   * @param {'error'|'warning'} [severity='error'] - Which issues to jump to
    */
-  scrollToFirstErrorInGroup(groupId) {
+  scrollToFirstErrorInGroup(groupId, severity = 'error') {
     if (!groupId) return;
+    const { fieldIssues } = this.issueMaps(severity);
 
     const rootGroupId = pathToGroupId('root');
     // During programmatic navigation, suppress scrollspy updates so active stays on clicked item
@@ -82,7 +102,7 @@ export default class FormValidation {
     if (groupId === rootGroupId) {
       let targetFieldPath = null;
       for (const fieldPath of this.formGenerator.fieldElements.keys()) {
-        if (!this.formGenerator.fieldErrors.has(fieldPath)) continue;
+        if (!fieldIssues.has(fieldPath)) continue;
         const mapped = this.formGenerator.fieldToGroup.get(fieldPath);
         if (mapped === rootGroupId) { targetFieldPath = fieldPath; break; }
       }
@@ -103,7 +123,7 @@ export default class FormValidation {
     // Determine the first field in insertion/render order that belongs to this group and has an error
     let targetFieldPath = null;
     for (const fieldPath of this.formGenerator.fieldElements.keys()) {
-      if (!this.formGenerator.fieldErrors.has(fieldPath)) continue;
+      if (!fieldIssues.has(fieldPath)) continue;
       const mapped = this.formGenerator.fieldToGroup.get(fieldPath);
       if (mapped === groupId) { targetFieldPath = fieldPath; break; }
     }
@@ -129,72 +149,44 @@ export default class FormValidation {
   }
 
   /**
-   * Validate all fields currently rendered in the form.
-   * Also computes group-level errors (e.g., empty required arrays)
-   * and refreshes the navigation error markers.
+   * Validate the whole data tree (rendered or not) with `ValidationService.collectIssues`
+   * and project errors and warnings onto the form: primitive values become field
+   * issues (inline messages on rendered inputs), objects and arrays become group
+   * issues (e.g. an empty required list). Refreshes the navigation error markers.
    */
   validateAllFields() {
-    // Rebuild field errors from scratch using the FormUiModel (schema + data driven)
-    const schemaSvc = this.formGenerator.services.schema;
-    const normalize = (node) => this.formGenerator.normalizeSchema(this.formGenerator.derefNode(node) || node || {});
-
-    const primitives = [];
-    const walk = (modelNode) => {
-      if (!modelNode) return;
-      const dottedPath = modelNode.dataPath ? pointerToInputName(modelNode.dataPath) : '';
-      const pointer = modelNode.schemaPointer || '#';
-      const effective = schemaSvc.getEffectiveNodeAtPointer(this.formGenerator.schema, pointer) || {};
-
-      if (modelNode.type === 'object') {
-        const props = effective?.properties || {};
-        const requiredSet = new Set(Array.isArray(effective?.required) ? effective.required : []);
-        for (const [key, propSchema] of Object.entries(props)) {
-          const eff = normalize(propSchema);
-          const primary = Array.isArray(eff.type) ? (eff.type.find((t) => t !== 'null') || eff.type[0]) : eff.type;
-          if (primary === 'object' || primary === 'array') continue;
-          const fieldPath = dottedPath ? `${dottedPath}.${key}` : key;
-          primitives.push({ fieldPath, propSchema: eff, isRequired: requiredSet.has(key) });
-        }
-        if (modelNode.children) {
-          Object.values(modelNode.children).forEach((child) => walk(child));
+    const { formGenerator } = this;
+    const { errors, warnings } = this.validationService.collectIssues(formGenerator.schema, formGenerator.data);
+
+    // Clear inline messages, then recompute all maps from scratch
+    formGenerator.container?.querySelectorAll('[aria-invalid="true"]').forEach((el) => this.setFieldError(el, null));
+    formGenerator.container?.querySelectorAll('.has-warning').forEach((el) => this.setFieldWarning(el, null));
+    formGenerator.fieldErrors.clear();
+    formGenerator.groupErrors.clear();
+    formGenerator.fieldWarnings.clear();
+    formGenerator.groupWarnings.clear();
+    this.groupPaths.clear();
+    const project = (issues, severity, show) => {
+      const { fieldIssues, groupIssues } = this.issueMaps(severity);
+      issues.forEach((message, pointer) => {
+        const path = pointerToInputName(pointer);
+        const value = formGenerator.model.getNestedValue(formGenerator.data, path);
+        // Objects and arrays of objects are groups; primitive arrays render as a single field
+        const isGroup = !!value && typeof value === 'object' && !formGenerator.fieldElements.has(path);
+        if (isGroup) {
+          groupIssues.set(pathToGroupId(path || 'root'), message);
+          this.groupPaths.set(pathToGroupId(path || 'root'), path);
+          return;
         }
-        return;
-      }
-
-      if (modelNode.type === 'array') {
-        if (Array.isArray(modelNode.items)) modelNode.items.forEach((child) => walk(child));
-        return;
-      }
+        fieldIssues.set(path, message);
+        const inputEl = formGenerator.fieldElements.get(path)
+          || formGenerator.container?.querySelector(`[name="${path}"]`);
+        if (inputEl) show(inputEl, message);
+      });
     };
-
-    // Walk from root
-    try { walk(this.formGenerator.formUiModel); } catch {}
-
-    // Clear and recompute fieldErrors
-    this.formGenerator.fieldErrors.clear();
-    for (const { fieldPath, propSchema, isRequired } of primitives) {
-      const inputEl = this.formGenerator.fieldElements.get(fieldPath)
-        || this.formGenerator.container.querySelector(`[name="${fieldPath}"]`);
-      const value = this.formGenerator.model.getNestedValue(this.formGenerator.data, fieldPath);
-      const error = this.validationService.getValidationError(value, propSchema, { required: !!isRequired });
-      if (inputEl) this.setFieldError(inputEl, error);
-      if (error) this.formGenerator.fieldErrors.set(fieldPath, error);
-    }
-
-    // Data-driven: mark only required arrays-of-objects that are empty
-    const emptyRequiredArrays = this.validationService.getEmptyRequiredArrayPaths(
-      this.formGenerator.schema,
-      this.formGenerator.data,
-      {
-        normalize,
-        getValue: (obj, path) => this.formGenerator.model.getNestedValue(obj, path),
-      }
-    );
-    // Maintain group-level errors in a dedicated map
-    this.formGenerator.groupErrors.clear();
-    emptyRequiredArrays.forEach((p) => {
-      this.formGenerator.groupErrors.set(pathToGroupId(p), 'Required list is empty.');
-    });
+    project(errors, 'error', (el, message) => this.setFieldError(el, message));
+    project(warnings, 'warning', (el, message) => this.setFieldWarning(el, message));
+    this.syncAsyncValidations();
     // Update sidebar markers after all validation is complete
     this.refreshNavigationErrorMarkers();
   }
@@ -205,19 +197,38 @@ export default class FormValidation {
    * @param {object} propSchema - Effective JSON Schema for this field
    * @param {HTMLElement} inputEl - Associated input element
    * @param {boolean} [skipMarkerRefresh=false] - If true, do not refresh nav markers immediately
-   * @returns {boolean} True if valid, false if invalid
+   * @returns {boolean} True if valid, false if invalid or an async check is pending
    */
   validateField(fieldPath, propSchema, inputEl, skipMarkerRefresh = false) {
+    // Cross-field rules can change other fields' errors: revalidate the whole data
+    if (!skipMarkerRefresh && this.validationService.hasRules(this.formGenerator.schema)) {
+      this.validateAllFields();
+      return !this.formGenerator.fieldErrors.has(fieldPath) && this.getAsyncState(fieldPath) !== 'pending';
+    }
     const value = this.formGenerator.getInputValue(inputEl);
     const error = this.validationService.getValidationError(value, propSchema, {
       required: inputEl?.classList?.contains('required'),
+      rootSchema: this.formGenerator.schema,
     });
     this.setFieldError(inputEl, error);
+    const warning = error ? null : this.validationService.getValidationWarning(value, propSchema, {
+      rootSchema: this.formGenerator.schema,
+    });
+    this.setFieldWarning(inputEl, warning);
+    if (warning) {
+      this.formGenerator.fieldWarnings.set(fieldPath, warning);
+    } else {
+      this.formGenerator.fieldWarnings.delete(fieldPath);
+    }
 
     if (error) {
       this.formGenerator.fieldErrors.set(fieldPath, error);
+      this.cancelAsyncValidation(fieldPath);
     } else {
       this.formGenerator.fieldErrors.delete(fieldPath);
+      const current = this.formGenerator.model.getNestedValue(this.formGenerator.data, fieldPath);
+      this.scheduleAsyncValidation(fieldPath, propSchema, current);
+      this.applyAsyncResult(fieldPath);
     }
 
     // Update sidebar error markers when field validation changes (unless batch validation)
@@ -225,11 +236,156 @@ export default class FormValidation {
       this.refreshNavigationErrorMarkers();
     }
 
-    return !error;
+    return !error && !['pending', 'invalid'].includes(this.getAsyncState(fieldPath));
   }
 
   // Validation logic centralized in ValidationService
 
+  /**
+   * Async state of a field: 'pending', 'valid', 'invalid', or null when it
+   * has no async validators (or no value to check).
+   * @param {string} fieldPath
+   * @returns {'pending'|'valid'|'invalid'|null}
+   */
+  getAsyncState(fieldPath) {
+    return this.asyncChecks.get(fieldPath)?.state || null;
+  }
+
+  /** Number of async checks waiting for their debounce or their result. */
+  getPendingCount() {
+    let count = 0;
+    this.asyncChecks.forEach((check) => { if (check.state === 'pending') count += 1; });
+    return count;
+  }
+
+  /** Resolve once no async check is pending. */
+  whenAsyncSettled() {
+    if (this.getPendingCount() === 0) return Promise.resolve();
+    return new Promise((resolve) => { this._settledWaiters.push(resolve); });
+  }
+
+  /**
+   * Check a field's `x-async-validate` validators for `value` after the
+   * debounce. A newer value cancels the pending timer and aborts the running
+   * check; an unchanged value keeps the pending or settled result.
+   * @param {string} fieldPath
+   * @param {object} propSchema
+   * @param {*} value
+   */
+  scheduleAsyncValidation(fieldPath, propSchema, value) {
+    const svc = this.validationService;
+    if (!svc.hasAsyncValidators(propSchema)) return;
+    const key = JSON.stringify(value ?? null);
+    if (this.asyncChecks.get(fieldPath)?.key === key) return;
+    this.cancelAsyncValidation(fieldPath, { silent: true });
+    if (value === '' || value === null || value === undefined) {
+      this.emitValidationState();
+      return;
+    }
+
+    const check = {
+      state: 'pending', key, error: null, timer: null, controller: null,
+    };
+    this.asyncChecks.set(fieldPath, check);
+    check.timer = setTimeout(() => {
+      check.timer = null;
+      check.controller = new AbortController();
+      svc.validateAsync(value, propSchema, {
+        rootSchema: this.formGenerator.schema,
+        data: this.formGenerator.data,
+        path: fieldPath,
+        signal: check.controller.signal,
+      }).then((error) => {
+        // A newer value or a cancel replaced this check
+        if (this.asyncChecks.get(fieldPath) !== check) return;
+        check.controller = null;
+        check.state = error ? 'invalid' : 'valid';
+        check.error = error;
+        this.applyAsyncResult(fieldPath);
+        this.refreshNavigationErrorMarkers();
+      }).catch(() => {});
+    }, svc.getAsyncDebounce(propSchema));
+    this.renderAsyncState(fieldPath);
+    this.emitValidationState();
+  }
+
+  /**
+   * Stop a field's pending async check and forget its result.
+   * @param {string} fieldPath
+   * @param {{ silent?: boolean }} [opts] - silent: do not emit the validation state
+   */
+  cancelAsyncValidation(fieldPath, { silent = false } = {}) {
+    const check = this.asyncChecks.get(fieldPath);
+    if (!check) return;
+    if (check.timer) clearTimeout(check.timer);
+    check.controller?.abort();
+    this.asyncChecks.delete(fieldPath);
+    const { formGenerator } = this;
+    if (check.state === 'invalid' && formGenerator.fieldErrors.get(fieldPath) === check.error) {
+      formGenerator.fieldErrors.delete(fieldPath);
+      this.setFieldError(formGenerator.fieldElements.get(fieldPath), null);
+    }
+    this.renderAsyncState(fieldPath);
+    if (!silent) this.emitValidationState();
+  }
+
+  /**
+   * Start/refresh async checks for every rendered field with validators after
+   * a full validation; fields with keyword errors are not checked remotely.
+   */
+  syncAsyncValidations() {
+    const { formGenerator } = this;
+    Array.from(this.asyncChecks.keys()).forEach((fieldPath) => {
+      if (!formGenerator.fieldSchemas.has(fieldPath)) this.cancelAsyncValidation(fieldPath, { silent: true });
+    });
+    formGenerator.fieldSchemas.forEach((propSchema, fieldPath) => {
+      if (!this.validationService.hasAsyncValidators(propSchema)) return;
+      if (formGenerator.fieldErrors.has(fieldPath)) {
+        this.cancelAsyncValidation(fieldPath, { silent: true });
+        return;
+      }
+      this.scheduleAsyncValidation(fieldPath, propSchema, formGenerator.model.getNestedValue(formGenerator.data, fieldPath));
+      this.applyAsyncResult(fieldPath);
+    });
+  }
+
+  /** Show a settled async error on its field unless a keyword error is already shown. */
+  applyAsyncResult(fieldPath) {
+    const check = this.asyncChecks.get(fieldPath);
+    this.renderAsyncState(fieldPath);
+    if (check?.state !== 'invalid' || this.formGenerator.fieldErrors.has(fieldPath)) return;
+    this.formGenerator.fieldErrors.set(fieldPath, check.error);
+    this.formGenerator.fieldWarnings.delete(fieldPath);
+    const inputEl = this.formGenerator.fieldElements.get(fieldPath)
+      || this.formGenerator.container?.querySelector(`[name="${fieldPath}"]`);
+    this.setFieldWarning(inputEl, null);
+    this.setFieldError(inputEl, check.error);
+  }
+
+  /** Reflect a field's async state on its control (`data-validation-state`, `aria-busy`). */
+  renderAsyncState(fieldPath) {
+    const inputEl = this.formGenerator.fieldElements.get(fieldPath);
+    if (!inputEl) return;
+    const state = this.getAsyncState(fieldPath);
+    if (state) {
+      inputEl.dataset.validationState = state;
+    } else {
+      delete inputEl.dataset.validationState;
+    }
+    inputEl.classList.toggle('validating', state === 'pending');
+    if (state === 'pending') {
+      inputEl.setAttribute('aria-busy', 'true');
+    } else {
+      inputEl.removeAttribute('aria-busy');
+    }
+  }
+
+  /** Cancel all async checks (teardown). */
+  destroy() {
+    Array.from(this.asyncChecks.keys()).forEach((fieldPath) => this.cancelAsyncValidation(fieldPath, { silent: true }));
+    this._settledWaiters.splice(0).forEach((resolve) => resolve());
+  }
+
   /**
    * Set or clear inline error state for an input element.
    * @param {HTMLElement} inputEl - Input element
@@ -258,16 +414,42 @@ export default class FormValidation {
   }
 
   /**
-   * Update sidebar badges showing the number of errors per group.
-   * Includes both field-level and group-level error counts.
+   * Set or clear the inline advisory (warning) message for an input element.
+   * @param {HTMLElement} inputEl - Input element
+   * @param {string|null|undefined} message - Warning to show; falsy to clear
    */
-  refreshNavigationErrorMarkers() {
-    if (!this.formGenerator.navigationTree) return;
+  setFieldWarning(inputEl, message) {
+    if (!inputEl) return;
+    let warningEl = inputEl.parentElement?.querySelector('.form-ui-warning');
+    if (!warningEl) {
+      if (!message) return;
+      warningEl = document.createElement('div');
+      warningEl.className = 'form-ui-warning';
+      // place after the error slot (or the input)
+      const errorEl = inputEl.parentElement?.querySelector('.form-ui-error');
+      (errorEl || inputEl).insertAdjacentElement('afterend', warningEl);
+    }
+    if (message) {
+      inputEl.classList.add('has-warning');
+      warningEl.textContent = message;
+      warningEl.style.display = 'block';
+    } else {
+      inputEl.classList.remove('has-warning');
+      warningEl.textContent = '';
+      warningEl.style.display = 'none';
+    }
+  }
 
-    // Build error counts per group id (do not color labels; show badge instead)
-    const errorCountByGroupId = new Map();
-    // Include both field-level and group-level errors
-    this.formGenerator.fieldErrors.forEach((_, key) => {
+  /**
+   * Count issues of `severity` per group id, including both field-level and
+   * group-level issues.
+   * @param {'error'|'warning'} severity
+   * @returns {Map<string, number>}
+   */
+  countIssuesByGroup(severity) {
+    const { fieldIssues, groupIssues } = this.issueMaps(severity);
+    const countByGroupId = new Map();
+    fieldIssues.forEach((_, key) => {
       const maybeGroupId = String(key);
       let groupId = null;
       if (maybeGroupId.startsWith('form-group-') || maybeGroupId.startsWith('form-array-item-')) {
@@ -276,14 +458,70 @@ export default class FormValidation {
         groupId = this.formGenerator.fieldToGroup.get(maybeGroupId) || null;
       }
       if (groupId) {
-        const prev = errorCountByGroupId.get(groupId) || 0;
-        errorCountByGroupId.set(groupId, prev + 1);
+        const prev = countByGroupId.get(groupId) || 0;
+        countByGroupId.set(groupId, prev + 1);
       }
     });
-    this.formGenerator.groupErrors.forEach((_, groupId) => {
-      const prev = errorCountByGroupId.get(groupId) || 0;
-      errorCountByGroupId.set(groupId, prev + 1);
+    groupIssues.forEach((_, groupId) => {
+      const prev = countByGroupId.get(groupId) || 0;
+      countByGroupId.set(groupId, prev + 1);
     });
+    return countByGroupId;
+  }
+
+  /**
+   * Create, update or remove a clickable count badge (`.error-badge` or
+   * `.warning-badge`) inside `hostEl`.
+   * @param {HTMLElement} hostEl
+   * @param {'error'|'warning'} severity
+   * @param {number} count
+   * @param {string} title - Tooltip
+   * @param {() => void} onJump - Activation handler
+   * @returns {boolean} whether a badge is shown
+   */
+  updateCountBadge(hostEl, severity, count, title, onJump) {
+    const className = severity === 'warning' ? 'warning-badge' : 'error-badge';
+    let badgeEl = hostEl.querySelector(`:scope > .${className}`);
+    if (count <= 0) {
+      if (badgeEl) badgeEl.remove();
+      return false;
+    }
+    if (!badgeEl) {
+      badgeEl = document.createElement('span');
+      badgeEl.className = className;
+      // Keep the error badge first so warnings line up beside it
+      const warningEl = severity === 'error' ? hostEl.querySelector(':scope > .warning-badge') : null;
+      hostEl.insertBefore(badgeEl, warningEl);
+    }
+    badgeEl.textContent = String(count);
+    badgeEl.setAttribute('aria-label', `${count} validation ${severity}${count === 1 ? '' : 's'}`);
+    // Make badge interactive: click to jump to first issue
+    badgeEl.setAttribute('role', 'button');
+    badgeEl.setAttribute('tabindex', '0');
+    badgeEl.title = title;
+    const onActivate = (ev) => {
+      ev.preventDefault();
+      ev.stopPropagation();
+      onJump();
+    };
+    badgeEl.onclick = onActivate;
+    badgeEl.onkeydown = (e) => { if (e.key === 'Enter' || e.key === ' ') onActivate(e); };
+    return true;
+  }
+
+  /**
+   * Update sidebar badges showing the number of errors and warnings per group.
+   * Includes both field-level and group-level counts.
+   */
+  refreshNavigationErrorMarkers() {
+    if (!this.formGenerator.navigationTree) {
+      this.emitValidationState();
+      return;
+    }
+
+    // Build issue counts per group id (do not color labels; show badges instead)
+    const errorCountByGroupId = this.countIssuesByGroup('error');
+    const warningCountByGroupId = this.countIssuesByGroup('warning');
 
     // Counts remain per-group; root shows only its own primitive-field errors
 
@@ -297,81 +535,77 @@ export default class FormValidation {
       const titleEl = nav.querySelector('.form-ui-nav-item-title');
       if (!titleEl) return;
 
-      const count = errorCountByGroupId.get(navGroupId) || 0;
       const contentEl = nav.querySelector('.form-ui-nav-item-content');
       if (!contentEl) return;
 
-      // Update badge based on count
-      let badgeEl = contentEl.querySelector('.error-badge');
-      if (count > 0) {
-        nav.classList.add('has-error');
-        if (!badgeEl) {
-          badgeEl = document.createElement('span');
-          badgeEl.className = 'error-badge';
-          contentEl.appendChild(badgeEl);
-        }
-        badgeEl.textContent = String(count);
-        badgeEl.setAttribute('aria-label', `${count} validation error${count === 1 ? '' : 's'}`);
-        // Make badge interactive: click to jump to first error
-        badgeEl.setAttribute('role', 'button');
-        badgeEl.setAttribute('tabindex', '0');
-        badgeEl.title = 'Jump to first error in this section';
-        const onActivate = (ev) => {
-          ev.preventDefault();
-          ev.stopPropagation();
-          this.scrollToFirstErrorInGroup(navGroupId);
-        };
-        badgeEl.onclick = onActivate;
-        badgeEl.onkeydown = (e) => { if (e.key === 'Enter' || e.key === ' ') onActivate(e); };
-      } else {
-        nav.classList.remove('has-error');
-        if (badgeEl) badgeEl.remove();
+      // Update badges based on counts
+      const hasError = this.updateCountBadge(
+        contentEl,
+        'error',
+        errorCountByGroupId.get(navGroupId) || 0,
+        'Jump to first error in this section',
+        () => this.scrollToFirstErrorInGroup(navGroupId),
+      );
+      const hasWarning = this.updateCountBadge(
+        contentEl,
+        'warning',
+        warningCountByGroupId.get(navGroupId) || 0,
+        'Jump to first warning in this section',
+        () => this.scrollToFirstErrorInGroup(navGroupId, 'warning'),
+      );
+      nav.classList.toggle('has-error', hasError);
+      nav.classList.toggle('has-warning', hasWarning);
+      if (!hasError) {
         // Remove any previous error indicator icon if present
         const existingIcon = titleEl.querySelector('.error-indicator');
         if (existingIcon) existingIcon.remove();
       }
     });
 
-    // Update header-level aggregated error badge next to the "Navigation" title
+    // Update header-level aggregated badges next to the "Navigation" title
     let totalErrors = 0;
     try {
       totalErrors = (this.formGenerator.fieldErrors?.size || 0) + (this.formGenerator.groupErrors?.size || 0);
+      const totalWarnings = (this.formGenerator.fieldWarnings?.size || 0) + (this.formGenerator.groupWarnings?.size || 0);
       const panelMain = this.formGenerator.navigationTree.closest('.form-side-panel-main');
       const header = panelMain ? panelMain.querySelector('.form-side-panel-header') : null;
       const titleContainer = header ? header.querySelector('.form-side-panel-title-container') : null;
       if (titleContainer) {
-        let headerBadge = titleContainer.querySelector('.error-badge');
-        if (totalErrors > 0) {
-          if (!headerBadge) {
-            headerBadge = document.createElement('span');
-            headerBadge.className = 'error-badge';
-            titleContainer.appendChild(headerBadge);
-          }
-          headerBadge.textContent = String(totalErrors);
-          headerBadge.setAttribute('aria-label', `${totalErrors} validation error${totalErrors === 1 ? '' : 's'}`);
-          headerBadge.setAttribute('role', 'button');
-          headerBadge.setAttribute('tabindex', '0');
-          headerBadge.title = 'Click to jump to first error in the form';
-          const onActivate = (ev) => { ev.preventDefault(); ev.stopPropagation(); this.scrollToFirstErrorAcrossForm(); };
-          headerBadge.onclick = onActivate;
-          headerBadge.onkeydown = (e) => { if (e.key === 'Enter' || e.key === ' ') onActivate(e); };
-        } else if (headerBadge) {
-          headerBadge.remove();
-        }
+        this.updateCountBadge(titleContainer, 'error', totalErrors, 'Click to jump to first error in the form', () => this.scrollToFirstErrorAcrossForm());
+        this.updateCountBadge(titleContainer, 'warning', totalWarnings, 'Click to jump to first warning in the form', () => this.scrollToFirstErrorAcrossForm('warning'));
       }
     } catch {}
 
-    // Emit validation state event for hosts (composed to cross shadow DOM)
+    this.emitValidationState(totalErrors);
+  }
+
+  /**
+   * Emit `form-validation-state` for hosts (composed to cross shadow DOM) with
+   * the error and warning counts and the number of pending async checks,
+   * refresh the validation summary, and release `whenAsyncSettled()` waiters
+   * once nothing is pending. Only errors are meant to block preview/publish.
+   * @param {number} [totalErrors]
+   */
+  emitValidationState(totalErrors = (this.formGenerator.fieldErrors?.size || 0) + (this.formGenerator.groupErrors?.size || 0)) {
+    const totalWarnings = (this.formGenerator.fieldWarnings?.size || 0) + (this.formGenerator.groupWarnings?.size || 0);
+    const pendingValidations = this.getPendingCount();
+    try {
+      this.formGenerator.validationSummary?.update();
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('[validation] summary not updated:', e?.message || e);
+    }
     try {
       const root = this.formGenerator?.container;
       if (root) {
         const evt = new CustomEvent('form-validation-state', {
-          detail: { totalErrors },
+          detail: { totalErrors, totalWarnings, pendingValidations },
           bubbles: true,
           composed: true,
         });
         root.dispatchEvent(evt);
       }
     } catch {}
+    if (pendingValidations === 0) this._settledWaiters.splice(0).forEach((resolve) => resolve());
   }
 }
@@ -145,17 +145,27 @@ export default class FormDataModel {
     return baseData;
   }
 
-  /** Resolve a schema node via dotted path with optional array indices. */
-  resolveSchemaByPath(dottedPath) {
+  /**
+   * Resolve a schema node via dotted path with optional array indices.
+   * When `data` is given, object unions and conditionals along the path
+   * resolve against the data at that point.
+   */
+  resolveSchemaByPath(dottedPath, data) {
     const tokens = String(dottedPath || '').split('.');
     let current = this.schema;
+    let accPath = '';
     for (const token of tokens) {
-      const normalized = this.schemaService
+      let normalized = this.schemaService
         ? this.schemaService.normalizeSchema(this.schema, (this.schemaService.derefNode(this.schema, current) || current))
         : current;
       if (!normalized) return null;
+      if (data && this.schemaService) {
+        const objData = accPath ? this.getNestedValue(data, accPath) : data;
+        normalized = this.schemaService.resolveEffectiveSchema(this.schema, normalized, objData).schema;
+      }
       const match = token.match(/^([^\[]+)(?:\[(\d+)\])?$/);
       const key = match ? match[1] : token;
+      accPath = accPath ? `${accPath}.${token}` : token;
       current = normalized?.properties?.[key];
       if (!current) return null;
       const idxPresent = match && typeof match[2] !== 'undefined';
@@ -178,10 +188,14 @@ export default class FormDataModel {
    * using `schemaNode` to guide traversal.
    */
   prunePrimitiveArrays(schemaNode, pathPrefix = '', dataObj) {
-    const s = this.schemaService
+    const base = this.schemaService
       ? this.schemaService.normalizeSchema(this.schema, (this.schemaService.derefNode(this.schema, schemaNode) || schemaNode) || {})
       : schemaNode;
-    if (!s) return;
+    if (!base) return;
+    // Object unions and conditionals: descend into the branches active for the data
+    const s = this.schemaService
+      ? this.schemaService.resolveEffectiveSchema(this.schema, base, pathPrefix ? this.getNestedValue(dataObj, pathPrefix) : dataObj).schema
+      : base;
     if (s.type === 'object' && s.properties) {
       Object.entries(s.properties).forEach(([key, child]) => {
         const eff = this.schemaService
@@ -234,6 +248,51 @@ export default class FormDataModel {
     }
   }
 
+  /**
+   * Drop data that belongs to inactive schema branches throughout `dataObj`:
+   * object unions keep only the active variant's keys (with the discriminator
+   * pinned to its value) and conditionals drop properties defined only by
+   * `then`/`else`/`dependentSchemas` branches that do not apply.
+   * Mirrors `prunePrimitiveArrays` traversal.
+   *
+   * Returns a key describing every active branch, which changes whenever the
+   * data switches a variant or condition (i.e. the form structure changes).
+   * @returns {string}
+   */
+  pruneInactiveBranches(schemaNode, pathPrefix = '', dataObj) {
+    const svc = this.schemaService;
+    if (!svc) return '';
+    const s = svc.normalizeSchema(this.schema, (svc.derefNode(this.schema, schemaNode) || schemaNode) || {});
+    if (!s) return '';
+    const value = pathPrefix ? this.getNestedValue(dataObj, pathPrefix) : dataObj;
+    const keys = [];
+    if (s.type === 'array') {
+      if (!Array.isArray(value)) return '';
+      for (let i = 0; i < value.length; i += 1) {
+        keys.push(this.pruneInactiveBranches(s.items, `${pathPrefix}[${i}]`, dataObj));
+      }
+      return keys.filter(Boolean).join(';');
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return '';
+    const {
+      schema: effective, variant, hidden, key,
+    } = svc.resolveEffectiveSchema(this.schema, s, value);
+    if (key) keys.push(`${pathPrefix}=${key}`);
+    if (variant) {
+      Object.keys(value).forEach((k) => {
+        if (!(k in (effective.properties || {}))) delete value[k];
+      });
+      if (variant.discriminator && variant.value !== undefined) value[variant.discriminator] = variant.value;
+    }
+    hidden.forEach((k) => { delete value[k]; });
+    Object.entries(effective.properties || {}).forEach(([k, child]) => {
+      if (value[k] && typeof value[k] === 'object') {
+        keys.push(this.pruneInactiveBranches(child, pathPrefix ? `${pathPrefix}.${k}` : k, dataObj));
+      }
+    });
+    return keys.filter(Boolean).join(';');
+  }
+
   /** Get a value from an input element with consistent coercion. */
   getInputValue(inputEl) {
     if (!inputEl) return '';
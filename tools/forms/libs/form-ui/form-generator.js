@@ -53,6 +53,8 @@ export default class FormGenerator {
     // Data model
     this.model = new FormDataModel(this.context, this.schema);
     this.data = this._getBaseJSON(this.schema);
+    // Key of the active variant/conditional branches; a change triggers a rebuild
+    this._branchKey = this.model.pruneInactiveBranches(this.schema, '', this.data);
     // Derived groups model (read-only)
     this.formUiModel = this.services.formUiModel.createFormUiModel({ schema: this.schema, data: this.data });
     this.listeners = new Set();
@@ -62,6 +64,9 @@ export default class FormGenerator {
     this.navigationTree = null;
     this.fieldErrors = new Map();
     this.groupErrors = new Map();
+    // Advisory issues (severity 'warning'); never block preview/publish
+    this.fieldWarnings = new Map();
+    this.groupWarnings = new Map();
     this.fieldSchemas = new Map();
     this.fieldElements = new Map();
     this.fieldToGroup = new Map();
@@ -73,7 +78,13 @@ export default class FormGenerator {
     // Input factory with injected handlers to preserve behavior
     this.inputFactory = new InputFactory(this.context, {
       onInputOrChange: (fieldPath, propSchema, inputEl) => {
+        const branchKey = this._branchKey;
         this.updateData();
+        // A value switched a conditional branch or variant: fields appear/disappear
+        if (this._branchKey !== branchKey) {
+          this.rebuildBody();
+          return;
+        }
         this.validation.validateField(fieldPath, propSchema, inputEl);
       },
       onBlur: (fieldPath, propSchema, inputEl) => {
@@ -102,6 +113,7 @@ export default class FormGenerator {
         this.commandRemoveArrayItem(path, index);
         requestAnimationFrame(() => this.validation.validateAllFields());
       },
+      onSelectVariant: (path, index) => this.commandSelectVariant(path, index),
     });
 
     // Group builder delegates DOM structuring
@@ -126,6 +138,7 @@ export default class FormGenerator {
       derefNode: this.derefNode.bind(this),
       getSchemaTitle: this.getSchemaTitle.bind(this),
       normalizeSchema: this.normalizeSchema.bind(this),
+      resolveEffectiveSchema: this.resolveEffectiveSchema.bind(this),
       renderAllGroups: this.renderAllGroups,
       schemaService: this.services.schema,
       schema: this.schema,
@@ -216,6 +229,24 @@ export default class FormGenerator {
   /** Get a human-friendly title for a schema property or fall back to key. */
   getSchemaTitle(propSchema, fallbackKey) { return this.services.schema.getSchemaTitle(this.schema, propSchema, fallbackKey || ''); }
 
+  /**
+   * Resolve the active variant of an object union for the data at `path`
+   * (dotted/bracket). Returns null when `node` is not an object union.
+   */
+  getVariantAtPath(node, path) {
+    const value = path ? this.model.getNestedValue(this.data, path) : this.data;
+    return this.services.schema.resolveVariant(this.schema, node, value);
+  }
+
+  /**
+   * Effective object schema for the data at `path`: the active union branch
+   * with active conditionals (if/then/else, dependentSchemas) merged in.
+   */
+  resolveEffectiveSchema(node, path) {
+    const value = path ? this.model.getNestedValue(this.data, path) : this.data;
+    return this.services.schema.resolveEffectiveSchema(this.schema, node, value).schema;
+  }
+
   /**
    * Generate form HTML from JSON schema
    */
@@ -239,7 +270,8 @@ export default class FormGenerator {
    */
   generateObjectFields(container, properties, required = [], pathPrefix = '') {
     Object.entries(properties).forEach(([key, originalPropSchema]) => {
-      const propSchema = this.derefNode(originalPropSchema) || originalPropSchema;
+      // Normalized so allOf-composed properties render with their merged schema
+      const propSchema = this.normalizeSchema(originalPropSchema) || originalPropSchema;
       const field = this.generateField(key, propSchema, required.includes(key), pathPrefix);
       if (field) {
         container.appendChild(field);
@@ -272,6 +304,7 @@ export default class FormGenerator {
         (propSchema.items.type === 'object')
         || (this.derefNode(propSchema.items)?.type === 'object')
         || !!propSchema.items.$ref
+        || !!this.services.schema.getVariants(this.schema, propSchema.items)
       ))
     ) {
       return createArrayGroupUI(this, fieldPath, propSchema);
@@ -307,7 +340,9 @@ export default class FormGenerator {
    * Required nested objects are initialized; optional ones are omitted.
    */
   createDefaultObjectFromSchema(itemsSchema) {
-    const node = this.normalizeSchema(this.derefNode(itemsSchema) || itemsSchema || {});
+    let node = this.normalizeSchema(this.derefNode(itemsSchema) || itemsSchema || {});
+    // Object unions start out as their first variant
+    node = this.services.schema.resolveVariant(this.schema, node, null)?.schema || node;
     if (!node || (node.type !== 'object' && !node.properties)) return {};
 
     const required = new Set(Array.isArray(node.required) ? node.required : []);
@@ -315,6 +350,11 @@ export default class FormGenerator {
     Object.entries(node.properties || {}).forEach(([key, prop]) => {
       const eff = this.normalizeSchema(this.derefNode(prop) || prop || {});
       const type = Array.isArray(eff.type) ? (eff.type.find((t) => t !== 'null') || eff.type[0]) : eff.type;
+      // Fixed values (e.g. a variant discriminator) are not editable
+      if (Object.prototype.hasOwnProperty.call(eff, 'const')) {
+        out[key] = eff.const;
+        return;
+      }
       switch (type) {
         case 'string':
           out[key] = eff.default || '';
@@ -400,6 +440,9 @@ export default class FormGenerator {
   /** Remove item at `index` from an array-of-objects group. */
   commandRemoveArrayItem(arrayPath, index) { this.commands.removeArrayItem(arrayPath, index); }
 
+  /** Switch the object union at `path` to the variant at `index`. */
+  commandSelectVariant(path, index) { this.commands.selectVariant(path, index); }
+
   /** Reorder item from `fromIndex` to `toIndex` within an array-of-objects. */
   commandReorderArrayItem(arrayPath, fromIndex, toIndex) { this.commands.reorderArrayItem(arrayPath, fromIndex, toIndex); }
 
@@ -448,6 +491,8 @@ export default class FormGenerator {
 
     // Post-process: prune empty entries from primitive arrays at any depth
     this.model.prunePrimitiveArrays(this.schema, '', this.data);
+    // Keep inactive union/conditional branches out of the data
+    this._branchKey = this.model.pruneInactiveBranches(this.schema, '', this.data);
 
     // Keep derived model in sync for features relying on it
     this.formUiModel = this.services.formUiModel.createFormUiModel({ schema: this.schema, data: this.data });
@@ -480,6 +525,7 @@ export default class FormGenerator {
     // Merge incoming data with base structure to ensure all fields are present
     const baseStructure = this._getBaseJSON(this.schema);
     this.data = this.deepMerge(baseStructure, data || {});
+    this._branchKey = this.model.pruneInactiveBranches(this.schema, '', this.data);
 
     // Keep derived model in sync for features relying on it
     this.formUiModel = this.services.formUiModel.createFormUiModel({ schema: this.schema, data: this.data });
@@ -680,6 +726,7 @@ export default class FormGenerator {
   /** Cleanup features and internal references. */
   destroy() {
     try { this.navigation?.destroy?.(); } catch { /* noop */ }
+    try { this.validation?.destroy?.(); } catch { /* noop */ }
     this.groupElements.clear();
     this.listeners.clear();
   }
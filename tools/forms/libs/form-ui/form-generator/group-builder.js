@@ -9,6 +9,7 @@
 import { createSection } from './section-builder.js';
 import { renderGroupContainer, renderPrimitivesIntoGroup } from '../renderers/group-renderer.js';
 import { pointerToInputName } from '../form-model/path-utils.js';
+import withVariantLabel from '../utils/variant-utils.js';
 // Debug logging for group building (disabled by default)
 const GB_DEBUG = false;
 const gbLog = () => {};
@@ -30,7 +31,7 @@ export default class GroupBuilder {
    * @param {Function} deps.normalizeSchema
    * @param {boolean} [deps.renderAllGroups]
    */
-  constructor({ inputFactory, formatLabel, hasPrimitiveFields, generateObjectFields, generateInput, generateField, isOptionalGroupActive = () => true, onActivateOptionalGroup = () => {}, refreshNavigation = () => {}, derefNode = (n) => n, getSchemaTitle = (s, k) => k, normalizeSchema, renderAllGroups = false, schemaService, schema }) {
+  constructor({ inputFactory, formatLabel, hasPrimitiveFields, generateObjectFields, generateInput, generateField, isOptionalGroupActive = () => true, onActivateOptionalGroup = () => {}, refreshNavigation = () => {}, derefNode = (n) => n, getSchemaTitle = (s, k) => k, normalizeSchema, resolveEffectiveSchema = (n) => n, renderAllGroups = false, schemaService, schema }) {
     this.inputFactory = inputFactory;
     this.formatLabel = formatLabel;
     this.hasPrimitiveFields = hasPrimitiveFields;
@@ -44,6 +45,7 @@ export default class GroupBuilder {
     this.derefNode = derefNode;
     this.getSchemaTitle = getSchemaTitle;
     this.normalizeSchema = normalizeSchema;
+    this.resolveEffectiveSchema = resolveEffectiveSchema;
     this.renderAllGroups = true;
     this._maxDepth = 50;
     this.schemaService = schemaService;
@@ -63,14 +65,18 @@ export default class GroupBuilder {
     if (!modelNode || depth > this._maxDepth) return outMap;
 
     const pointer = modelNode.schemaPointer || '#';
-    const effective = this.schemaService.getEffectiveNodeAtPointer(this.rootSchema, pointer) || {};
     const dottedPath = modelNode.dataPath ? pointerToInputName(modelNode.dataPath) : '';
+    const pointed = this.schemaService.getEffectiveNodeAtPointer(this.rootSchema, pointer) || {};
+    // Objects render the properties and required flags of the conditionals active for their data
+    const effective = modelNode.type === 'object' ? (this.resolveEffectiveSchema(pointed, dottedPath) || pointed) : pointed;
     const titleKey = dottedPath ? (dottedPath.split('.').pop() || '') : 'Form';
-    const title = dottedPath ? this.schemaService.getTitleAtPointer(this.rootSchema, pointer, titleKey) : 'Form';
+    const schemaTitle = dottedPath ? this.schemaService.getTitleAtPointer(this.rootSchema, pointer, titleKey) : 'Form';
+    const title = withVariantLabel(schemaTitle, modelNode.variant?.title);
 
     if (modelNode.type === 'object') {
       const hasChildren = !!(effective && effective.properties && Object.keys(effective.properties).length > 0);
-      const hasPrimitives = this.hasPrimitiveFields(effective);
+      // Object unions always get a group to host their variant selector
+      const hasPrimitives = this.hasPrimitiveFields(effective) || !!modelNode.variant;
       const currentBreadcrumb = breadcrumbPath;
 
       let childrenHost = container;
@@ -83,14 +89,20 @@ export default class GroupBuilder {
           schemaPath: dottedPath ? dottedPath.split('.') : [],
           addHeader: currentBreadcrumb.length > 0,
         });
+        if (modelNode.variant) {
+          contentEl.appendChild(this.inputFactory.createVariantSelect(dottedPath, modelNode.variant));
+        }
         const primitiveProperties = {};
         Object.entries(effective.properties || {}).forEach(([propKey, originalProp]) => {
           const node = this.derefNode(originalProp) || originalProp;
-          const isObjectType = !!(node && (node.type === 'object' || (Array.isArray(node.type) && node.type.includes('object'))));
+          // Normalized view infers `object` for untyped object unions
+          const norm = this.normalizeSchema(node) || node;
+          const isObjectType = !!(norm && (norm.type === 'object' || (Array.isArray(node.type) && node.type.includes('object'))));
           const isArrayOfObjects = !!(node && node.type === 'array' && (
             (node.items && (node.items.type === 'object' || node.items.properties))
             || !!node.items?.$ref
             || Array.isArray(node.items?.oneOf)
+            || Array.isArray(node.items?.anyOf)
           ));
           if (!isObjectType && !isArrayOfObjects) {
             primitiveProperties[propKey] = node;
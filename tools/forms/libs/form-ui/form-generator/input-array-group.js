@@ -1,6 +1,7 @@
 import { render } from 'da-lit';
 import { UI_CLASS as CLASS } from '../constants.js';
 import { arrayContainerTemplate, arrayItemTemplate, arrayAddButtonTemplate, removeButtonTemplate } from '../templates/array.js';
+import withVariantLabel from '../utils/variant-utils.js';
 
 export default function createArrayGroupUI(generator, fieldPath, propSchema) {
   const itemsSchema = generator.derefNode(propSchema.items) || propSchema.items;
@@ -38,13 +39,17 @@ export default function createArrayGroupUI(generator, fieldPath, propSchema) {
   const addItemAt = (index) => {
     const itemId = generator.arrayItemId(fieldPath, index);
     const pathPrefix = `${fieldPath}[${index}]`;
+    // Union items (e.g. hero/teaser/quote blocks) render the branch matching their data
+    const variant = generator.getVariantAtPath(normItemsSchema, pathPrefix);
+    const itemSchema = generator.resolveEffectiveSchema(normItemsSchema, pathPrefix);
 
     // Build inner content DOM for this item (fields) without extra wrapper div
     const contentHost = document.createDocumentFragment();
+    if (variant) contentHost.appendChild(generator.inputFactory.createVariantSelect(pathPrefix, variant));
     generator.generateObjectFields(
       contentHost,
-      normItemsSchema.properties || {},
-      normItemsSchema.required || [],
+      itemSchema.properties || {},
+      itemSchema.required || [],
       pathPrefix,
     );
 
@@ -68,7 +73,7 @@ export default function createArrayGroupUI(generator, fieldPath, propSchema) {
     reRenderRemove();
 
     const mount = document.createElement('div');
-    render(arrayItemTemplate({ id: itemId, title: `${baseTitle} #${index + 1}`, content: contentHost, removeButton: removeMount.firstElementChild }), mount);
+    render(arrayItemTemplate({ id: itemId, title: withVariantLabel(`${baseTitle} #${index + 1}`, variant?.title), content: contentHost, removeButton: removeMount.firstElementChild }), mount);
     const itemContainer = mount.firstElementChild;
     itemContainer.dataset.schemaPath = pathPrefix;
 
@@ -8,9 +8,16 @@ import { mapFieldsToGroups, ensureGroupRegistry } from './mapping.js';
 import { render } from 'da-lit';
 import { formShellTemplate } from '../templates/form.js';
 
+// Input types with a text caret; the others throw on selectionStart/setSelectionRange
+const CARET_TYPES = new Set(['text', 'search', 'url', 'tel', 'password']);
+
+function hasCaret(el) {
+  return el?.tagName === 'TEXTAREA' || (el?.tagName === 'INPUT' && CARET_TYPES.has(el.type));
+}
+
 export function generateForm(self) {
   const mount = document.createElement('div');
-  render(formShellTemplate({ title: self.schema.title || 'Form' }), mount);
+  render(formShellTemplate({ title: self.normalizeSchema(self.schema)?.title || 'Form' }), mount);
   const container = mount.firstElementChild;
   const body = container.querySelector(`.${CLASS.body}`);
   // Compute sticky header height for scroll offset
@@ -55,6 +62,10 @@ export function rebuildBody(self) {
   const body = self.container.querySelector(`.${CLASS.body}`);
   if (!body) return;
   const previousScrollTop = body.scrollTop;
+  // Keep focus on the edited control when a value change rebuilds the body (conditional fields)
+  const active = body.contains(document.activeElement) ? document.activeElement : null;
+  const focusName = active?.name || '';
+  const caret = hasCaret(active) ? active.selectionStart : null;
   // Preserve sticky content breadcrumb across rebuilds
   const breadcrumbEl = body.querySelector('.form-content-breadcrumb');
   // Detach breadcrumb before clearing
@@ -86,6 +97,13 @@ export function rebuildBody(self) {
     ensureGroupRegistry(self);
     // Restore existing data into fields after DOM rebuild
     try { self.loadData(self.data); } catch {}
+    if (focusName) {
+      const el = body.querySelector(`[name="${focusName}"]`);
+      if (el) {
+        el.focus({ preventScroll: true });
+        if (caret != null && hasCaret(el)) el.setSelectionRange(caret, caret);
+      }
+    }
     if (self.navigationTree) {
       self.navigation.generateNavigationTree();
     }
@@ -24,11 +24,13 @@ export function mapFieldsToGroups(generator) {
   };
 
   const mapObject = (schemaNode, objectPath, inArrayItemRoot, currentGroupId) => {
-    const s = norm(schemaNode);
+    // Object unions and conditionals map the fields active for the data
+    const variant = objectPath ? generator.getVariantAtPath(norm(schemaNode), objectPath) : null;
+    const s = generator.resolveEffectiveSchema(norm(schemaNode), objectPath);
     if (!s || s.type !== 'object' || !s.properties) return;
 
     // Decide if this object renders its own group container in content (except array item roots)
-    const rendersGroup = hasPrims(s) && !inArrayItemRoot;
+    const rendersGroup = (hasPrims(s) || !!variant) && !inArrayItemRoot;
     // Normalize empty root path to 'root' so IDs and mappings are consistent
     const idPath = objectPath && objectPath.length > 0 ? objectPath : 'root';
     const nextGroupId = rendersGroup
@@ -46,6 +48,7 @@ export function mapFieldsToGroups(generator) {
       const isObjectType = !!(child && (child.type === 'object' || child.properties));
       const isArrayOfObjects = !!(child && child.type === 'array' && (
         (child.items && (child.items.type === 'object' || child.items.properties)) || !!child.items?.$ref
+        || norm(child.items).type === 'object'
       ));
 
       if (isObjectType) {
@@ -16,6 +16,7 @@
 import FormGenerator from './form-generator.js';
 import FormSidebar from './features/sidebar.js';
 import FormBreadcrumb from './features/breadcrumb.js';
+import FormValidationSummary from './features/validation-summary.js';
 
 // ---- local helpers: readability only, no behavior change ----
 function createWrapperAndHost(mount, ui) {
@@ -65,6 +66,13 @@ function setupSidebar(wrapper) {
   return { sidebar, sideEl };
 }
 
+function setupValidationSummary(generator, sideEl) {
+  const validationSummary = new FormValidationSummary(generator);
+  validationSummary.init(sideEl);
+  generator.validationSummary = validationSummary;
+  return validationSummary;
+}
+
 function setupNavigationTree(generator, sideEl, showNavConnectors) {
   const navigationTree = sideEl.querySelector('.form-navigation-tree');
   try {
@@ -114,6 +122,8 @@ function wireNavigationClicks(sidebar, generator) {
  *   updateSchema(nextSchema: object): void,
  *   navigateTo(groupId: string): void,
  *   getData(): object,
+ *   hasPendingValidations(): boolean,
+ *   whenValidationSettled(): Promise<void>,
  *   destroy(): void
  * }}
  */
@@ -129,6 +139,7 @@ export function mountFormUI(context, {
   // Sidebar
   const { sidebar, sideEl } = setupSidebar(wrapper);
   wireNavigationClicks(sidebar, generator);
+  const validationSummary = setupValidationSummary(generator, sideEl);
 
   // Connect navigation tree to form generator (use rAF instead of setTimeout)
   const navigationTree = setupNavigationTree(generator, sideEl, showNavConnectors);
@@ -160,6 +171,19 @@ export function mountFormUI(context, {
     try { return (generator.fieldErrors?.size || 0) + (generator.groupErrors?.size || 0); }
     catch { return 0; }
   }
+  /** Get the current total of advisory (warning) issues; they never block. */
+  function getValidationWarningCount() {
+    try { return (generator.fieldWarnings?.size || 0) + (generator.groupWarnings?.size || 0); }
+    catch { return 0; }
+  }
+  /** Return whether async (`x-async-validate`) checks are still pending. */
+  function hasPendingValidations() {
+    try { return generator.validation.getPendingCount() > 0; } catch { return false; }
+  }
+  /** Resolve once no async check is pending. */
+  function whenValidationSettled() {
+    return generator.validation.whenAsyncSettled();
+  }
   /**
    * Replace the current schema and rebuild the form while preserving current data.
    * Useful for hot-reloading or switching between schemas.
@@ -184,6 +208,8 @@ export function mountFormUI(context, {
     const h = newForm.querySelector('.form-ui-header');
     if (h) h.insertAdjacentElement('afterend', sideEl);
     generator.navigationTree = navigationTree;
+    validationSummary.generator = generator;
+    generator.validationSummary = validationSummary;
     requestAnimationFrame(() => generator.navigation.generateNavigationTree());
     generator.onChange((next) => typeof onChange === 'function' && onChange(next));
     generator.loadData(dataSnapshot);
@@ -198,6 +224,7 @@ export function mountFormUI(context, {
     // listeners were not added due to disabled auto-float
     generator.destroy();
     wrapper.remove();
+    validationSummary.destroy();
     sidebar.destroy();
     breadcrumbFeature.destroy();
   }
@@ -209,6 +236,9 @@ export function mountFormUI(context, {
     getData,
     hasValidationErrors,
     getValidationErrorCount,
+    getValidationWarningCount,
+    hasPendingValidations,
+    whenValidationSettled,
     destroy,
   };
 }
@@ -21,6 +21,7 @@ export default class InputFactory {
    *   getArrayValue?:Function,
    *   onArrayAdd?:Function,
    *   onArrayRemove?:Function,
+   *   onSelectVariant?:Function,
    * }} handlers
    */
   constructor(context, handlers = {}) {
@@ -70,6 +71,12 @@ export default class InputFactory {
     }
     if (primaryType === 'array') return this.createArrayInput(fieldPath, propSchema);
     if (primaryType === 'object') return null;
+    // Unions of constants (`oneOf: [{ const, title }]`) render as a labelled enum
+    const constOptions = this.services?.schema?.getConstOptions(null, propSchema);
+    if (constOptions && constOptions.every((o) => typeof o.value === 'string')) {
+      const selectCreator = this._registry.get('select');
+      return selectCreator.create(fieldPath, constOptions.map((o) => o.value), propSchema, constOptions.map((o) => o.title));
+    }
     if (enumValues && primaryType === 'string') {
       const selectCreator = this._registry.get('select');
       return selectCreator.create(fieldPath, enumValues, propSchema);
@@ -82,6 +89,15 @@ export default class InputFactory {
   }
 
 
+  /**
+   * Create the variant selector for an object union at `fieldPath`.
+   * @param {string} fieldPath
+   * @param {{ index:number, options:{index:number, title:string}[] }} variant - as resolved by SchemaService
+   */
+  createVariantSelect(fieldPath, variant) {
+    return this._registry.get('variant').create(fieldPath, variant);
+  }
+
   /**
    * Create a UI for arrays of primitives, including inline add/remove controls.
    * Arrays-of-objects are handled elsewhere (as repeatable object groups).
@@ -184,8 +200,8 @@ export default class InputFactory {
         const rerenderRemove = () => {
           render(removeButtonTemplate({ confirm: confirmState, onClick: () => {
             if (confirmState) {
-              const idx = Array.from(itemsContainer.querySelectorAll('.form-ui-array-item')).indexOf(itemContainer);
-              this.onArrayRemove(fieldPath, idx < 0 ? 0 : idx);
+              const itemIndex = Array.from(itemsContainer.querySelectorAll('.form-ui-array-item')).indexOf(itemContainer);
+              this.onArrayRemove(fieldPath, itemIndex < 0 ? 0 : itemIndex);
             } else {
               confirmState = true;
               rerenderRemove();
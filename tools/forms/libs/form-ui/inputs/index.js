@@ -5,6 +5,7 @@ import NumberInput from './number-input.js';
 import CheckboxInput from './checkbox-input.js';
 import AssetInput from './asset-input.js';
 import PictureInput from './picture-input.js';
+import VariantSelectInput from './variant-select-input.js';
 
 export function registry(context, handlers) {
   return new Map([
@@ -15,7 +16,8 @@ export function registry(context, handlers) {
     ['integer', new NumberInput(context, handlers)],
     ['boolean', new CheckboxInput(context, handlers)],
     ['asset', new AssetInput(context, handlers)],
-    ['picture', new PictureInput(context, handlers)]
+    ['picture', new PictureInput(context, handlers)],
+    ['variant', new VariantSelectInput(context, handlers)],
   ]);
 }
 
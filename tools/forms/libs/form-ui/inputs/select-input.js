@@ -8,13 +8,16 @@ import BaseInput from './base-input.js';
  */
 export default class SelectInput extends BaseInput {
   constructor(context, handlers = {}) { super(context, handlers); }
-  /** Create a select control for `enumValues`, applying default selection. */
-  create(fieldPath, enumValues, propSchema) {
+  /**
+   * Create a select control for `enumValues`, applying default selection.
+   * Optional `labels` (parallel to `enumValues`) replace the displayed text.
+   */
+  create(fieldPath, enumValues, propSchema, labels = []) {
     const mount = document.createElement('div');
     render(html`
       <select name=${fieldPath} class="form-ui-select">
         <option value="">-- Select --</option>
-        ${enumValues.map((value) => html`<option value=${value} ?selected=${propSchema.default === value}>${value}</option>`)}
+        ${enumValues.map((value, i) => html`<option value=${value} ?selected=${propSchema.default === value}>${labels[i] ?? value}</option>`)}
       </select>
     `, mount);
     const select = mount.firstElementChild;
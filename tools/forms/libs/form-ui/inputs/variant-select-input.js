@@ -0,0 +1,33 @@
+import { html, render } from 'da-lit';
+import BaseInput from './base-input.js';
+
+/**
+ * VariantSelectInput
+ *
+ * Selector for the active branch of an object union (oneOf/anyOf). The select
+ * has no `name`, so it never lands in the form data; switching calls `onSelect`.
+ */
+export default class VariantSelectInput extends BaseInput {
+  constructor(context, handlers = {}) {
+    super(context, handlers);
+    this.onSelectVariant = handlers.onSelectVariant || (() => {});
+  }
+
+  /** Create a labelled select listing `variant.options`, with the active one selected. */
+  create(fieldPath, variant) {
+    const mount = document.createElement('div');
+    const onChange = (e) => this.onSelectVariant(fieldPath, Number(e.target.value));
+    render(html`
+      <div class="form-ui-variant-select" data-variant-path=${fieldPath}>
+        <label class="form-ui-label">Type</label>
+        <select class="form-ui-select" @change=${onChange}>
+          ${variant.options.map((o) => html`<option value=${String(o.index)} ?selected=${o.index === variant.index}>${o.title}</option>`)}
+        </select>
+      </div>
+    `, mount);
+    const container = mount.firstElementChild;
+    const select = container.querySelector('select');
+    select.addEventListener('focus', (e) => this.onFocus(fieldPath, null, e.target));
+    return container;
+  }
+}
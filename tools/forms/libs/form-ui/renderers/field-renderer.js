@@ -10,26 +10,32 @@ import { pathToGroupId, hyphenatePath } from '../form-generator/path-utils.js';
 import { groupTemplate } from '../templates/group.js';
 import { fieldTemplate } from '../templates/field.js';
 import { addButtonTemplate } from '../templates/buttons.js';
+import withVariantLabel from '../utils/variant-utils.js';
 
 /**
  * Render a single field based on its schema and location in the model.
- * Handles primitives, nested objects (as inline groups), and arrays-of-objects
- * (as repeatable groups with activation placeholders).
+ * Handles primitives, nested objects (as inline groups), object unions (inline
+ * groups with a variant selector), and arrays-of-objects (as repeatable groups
+ * with activation placeholders). Fixed `const` properties are not rendered.
  *
  * @param {import('../form-generator.js').default} formGenerator
  * @param {string} key - Property key
  * @param {object} propSchema - Effective property schema
  * @param {boolean} [isRequired=false] - Whether the property is required
  * @param {string} [pathPrefix=''] - Parent path prefix
- * @returns {HTMLElement} The field or group DOM element
+ * @returns {HTMLElement|null} The field or group DOM element
  */
 export function renderField(formGenerator, key, propSchema, isRequired = false, pathPrefix = '') {
   const fullPath = pathPrefix ? `${pathPrefix}.${key}` : key;
 
+  // Fixed values (e.g. a variant discriminator) are owned by the variant selector
+  if (propSchema && Object.prototype.hasOwnProperty.call(propSchema, 'const')) return null;
+
   // Special-case: arrays of objects should render as a sub-group, not a simple field
   const itemSchema = formGenerator.derefNode(propSchema?.items) || propSchema?.items;
   const isArrayOfObjects = propSchema && propSchema.type === 'array' && (
     (itemSchema && (itemSchema.type === 'object' || itemSchema.properties)) || !!propSchema.items?.$ref
+    || !!formGenerator.services.schema.getVariants(formGenerator.schema, itemSchema)
   );
   if (isArrayOfObjects) {
     const mount = document.createElement('div');
@@ -74,6 +80,33 @@ export function renderField(formGenerator, key, propSchema, isRequired = false,
     return groupContainer;
   }
 
+  // Object union: inline group with a variant selector and the active branch's fields
+  const variant = formGenerator.getVariantAtPath(propSchema, fullPath);
+  if (variant) {
+    const mount = document.createElement('div');
+    const title = propSchema.title || formGenerator.formatLabel(key);
+    render(groupTemplate({
+      id: pathToGroupId(fullPath),
+      breadcrumbPath: [formGenerator.formatLabel(key)],
+      schemaPath: [fullPath],
+      title: withVariantLabel(title, variant.title),
+      addHeader: true,
+      content: ''
+    }), mount);
+    const groupContainer = mount.firstElementChild;
+    const groupContent = groupContainer.querySelector(`.${CLASS.groupContent}`);
+    groupContent.appendChild(formGenerator.inputFactory.createVariantSelect(fullPath, variant));
+    const effective = formGenerator.resolveEffectiveSchema(propSchema, fullPath);
+    formGenerator.generateObjectFields(
+      groupContent,
+      effective.properties || {},
+      effective.required || [],
+      fullPath,
+    );
+    groupContainer.dataset.fieldPath = fullPath;
+    return groupContainer;
+  }
+
   // Special-case: nested object inside array items (or any object field) should render as its own inline group
   const isObjectType = !!(propSchema && (propSchema.type === 'object' || propSchema.properties));
   if (isObjectType && propSchema.properties) {
@@ -90,10 +123,11 @@ export function renderField(formGenerator, key, propSchema, isRequired = false,
     }), mount);
     const groupContainer = mount.firstElementChild;
     const groupContent = groupContainer.querySelector(`.${CLASS.groupContent}`);
+    const effective = formGenerator.resolveEffectiveSchema(propSchema, fullPath);
     formGenerator.generateObjectFields(
       groupContent,
-      propSchema.properties || {},
-      propSchema.required || [],
+      effective.properties || {},
+      effective.required || [],
       fullPath,
     );
     groupContainer.appendChild(groupContent);
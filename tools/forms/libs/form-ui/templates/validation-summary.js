@@ -0,0 +1,43 @@
+import { html, nothing } from 'da-lit';
+
+/**
+ * validationSummaryTemplate
+ * Collapsible list of validation errors and warnings with a group filter. Each
+ * entry is `{ path, labels: string[], message, severity }`; groups are
+ * `{ id, title, count }`.
+ */
+export const validationSummaryTemplate = ({
+  entries = [], total = 0, errors = 0, warnings = 0, pending = 0, collapsed = false, groups = [], filter = '',
+  onToggle, onFilter, onSelect,
+} = {}) => html`
+  <div class="form-validation-summary ${collapsed ? 'is-collapsed' : ''}">
+    <button type="button" class="form-validation-summary-header" aria-expanded=${String(!collapsed)} @click=${onToggle}>
+      <span class="form-validation-summary-title">Validation</span>
+      ${errors ? html`<span class="error-badge" aria-label=${`${errors} validation error${errors === 1 ? '' : 's'}`}>${errors}</span>` : nothing}
+      ${warnings ? html`<span class="warning-badge" aria-label=${`${warnings} validation warning${warnings === 1 ? '' : 's'}`}>${warnings}</span>` : nothing}
+      ${pending ? html`<span class="form-validation-summary-pending">Checking ${pending}…</span>` : nothing}
+    </button>
+    ${collapsed ? nothing : html`
+      <div class="form-validation-summary-body">
+        ${groups.length > 1 ? html`
+          <select class="form-validation-summary-filter" aria-label="Filter errors by group" @change=${onFilter}>
+            <option value="" ?selected=${!filter}>All groups (${total})</option>
+            ${groups.map((g) => html`<option value=${g.id} ?selected=${g.id === filter}>${g.title} (${g.count})</option>`)}
+          </select>
+        ` : nothing}
+        <ul class="form-validation-summary-list">
+          ${entries.map((entry) => html`
+            <li>
+              <button type="button" class="form-validation-summary-item ${entry.severity === 'warning' ? 'is-warning' : ''}" data-path=${entry.path} @click=${() => onSelect(entry)}>
+                <span class="form-validation-summary-path">${entry.labels.join(' › ')}</span>
+                <span class="form-validation-summary-message">${entry.message}</span>
+              </button>
+            </li>
+          `)}
+        </ul>
+      </div>
+    `}
+  </div>
+`;
+
+export default { validationSummaryTemplate };
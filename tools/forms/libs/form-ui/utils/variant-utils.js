@@ -0,0 +1,15 @@
+/**
+ * Variant helpers shared by content, navigation and breadcrumb.
+ */
+
+/**
+ * Append the active variant title to a group/item title, e.g. "Blocks #2 (Hero)".
+ * Returns `title` unchanged when there is no variant or it would repeat the title.
+ * @param {string} title
+ * @param {string} [variantTitle]
+ * @returns {string}
+ */
+export default function withVariantLabel(title, variantTitle) {
+  if (!variantTitle || variantTitle === title) return title;
+  return title ? `${title} (${variantTitle})` : variantTitle;
+}
@@ -19,8 +19,9 @@ export class AuthService {
     }
   }
 
-  /** Returns the raw DA SDK token or null. */
+  /** Returns the raw DA SDK token (or the one last refreshed) or null. */
   async getToken() {
+    if (this._token) return this._token;
     try {
       const { token } = await DA_SDK;
       return token || null;
@@ -28,6 +29,32 @@ export class AuthService {
       return null;
     }
   }
+
+  /**
+   * Ask the DA shell for a fresh token by repeating the SDK handshake, e.g.
+   * after a 401. Resolves with the current token when the shell does not
+   * answer within `timeout` ms.
+   */
+  async refreshToken({ timeout = 5000 } = {}) {
+    if (typeof window === 'undefined' || window.parent === window) return this.getToken();
+    const token = await new Promise((resolve) => {
+      let timer;
+      const onMessage = (e) => {
+        if (e.source !== window.parent || !e.data?.token) return;
+        clearTimeout(timer);
+        window.removeEventListener('message', onMessage);
+        resolve(e.data.token);
+      };
+      timer = setTimeout(() => {
+        window.removeEventListener('message', onMessage);
+        resolve(null);
+      }, timeout);
+      window.addEventListener('message', onMessage);
+      window.parent.postMessage({ ready: true }, '*');
+    });
+    if (token) this._token = token;
+    return this.getToken();
+  }
 }
 
 export default AuthService;
@@ -8,7 +8,9 @@
  *
  * Parses editor URL query/hash parameters and normalizes runtime flags.
  */
-import { STORAGE_VERSIONS } from './storage/index.js';
+import { getStorageVersions } from './storage/index.js';
+
+const DEFAULT_AUTOSAVE_SECONDS = 5;
 
 export class ConfigService {
   /** Parse URL and return normalized config flags and paths. */
@@ -28,7 +30,10 @@ export class ConfigService {
         }
       }
       const schemaFromUrl = params.get('schema') || '';
-      const storageVersion = params.get('storage') || STORAGE_VERSIONS.HTML;
+      // Storage format for new pages; existing documents keep the format they were saved in
+      const storageVersion = getStorageVersions().includes(params.get('storage'))
+        ? params.get('storage')
+        : '';
       
       const showNavConnectors = params.get('showNavConnectors') ? (params.get('showNavConnectors') !== 'false') : true;
       const allowLocalSchemas = params.get('allowLocalSchemas') === 'true';
@@ -36,6 +41,14 @@ export class ConfigService {
       const localSchemas = localSchemasParam
         ? localSchemasParam.split(',').map((s) => s.trim()).filter(Boolean)
         : [];
+      // Locale for validation messages (e.g. `locale=de-CH`); empty = browser default
+      const locale = params.get('locale') || '';
+      // Autosave to DA after this many idle seconds (`autosave=10`); `false` or 0 turns it off
+      const autosaveParam = params.get('autosave');
+      let autosaveSeconds = DEFAULT_AUTOSAVE_SECONDS;
+      if (autosaveParam === 'false') autosaveSeconds = 0;
+      else if (autosaveParam && autosaveParam !== 'true') autosaveSeconds = Number(autosaveParam);
+      const autosaveDelay = Number.isFinite(autosaveSeconds) && autosaveSeconds > 0 ? autosaveSeconds * 1000 : 0;
       return {
         pagePath,
         schemaFromUrl,
@@ -43,9 +56,11 @@ export class ConfigService {
         showNavConnectors,
         allowLocalSchemas,
         localSchemas,
+        locale,
+        autosaveDelay,
       };
     } catch {
-      return { pagePath: '', schemaFromUrl: '', storageVersion, showNavConnectors: false, allowLocalSchemas: false, localSchemas: [] };
+      return { pagePath: '', schemaFromUrl: '', storageVersion: '', showNavConnectors: false, allowLocalSchemas: false, localSchemas: [], locale: '', autosaveDelay: 0 };
     }
   }
 }
@@ -5,62 +5,199 @@
 import DA_SDK from "https://da.live/nx/utils/sdk.js";
 import { AEM_ORIGIN, DA_ORIGIN, DA_LIVE } from "../../utils.js";
 
+// Version of a document that did not exist when it was read
+const MISSING = Object.freeze({ missing: true });
+
+/** Version of a fetched source document: its ETag and Last-Modified headers, and content. */
+function versionOf(response, text) {
+  return { etag: response.headers.get('etag'), lastModified: response.headers.get('last-modified'), text };
+}
+
+/** Whether two source versions are the same: by ETag, else Last-Modified, else content. */
+function sameVersion(a, b) {
+  if (a.missing || b.missing) return !!a.missing && !!b.missing;
+  if (a.etag && b.etag) return a.etag === b.etag;
+  if (a.lastModified && b.lastModified) return a.lastModified === b.lastModified;
+  return a.text === b.text;
+}
+
 /**
  * DaService
  *
  * Thin client for Digital Asset (DA) backend and AEM bridge operations.
  * Handles reading/writing HTML documents via DA APIs and triggering AEM flows.
+ * Remembers the version each document was read (or saved) at, so a save over
+ * a document changed remotely in the meantime is reported as a conflict.
+ * Requests go through `services.http`, which retries and throws `HttpError`.
  */
 export class DaService {
-  /** @param {object} context - Must include `services.storage` for parse/serialize */
+  /** @param {object} context - Must include `services.storage` for parse/serialize and `services.http` */
   constructor(context = {}) {
     this._context = context || {};
     this._storage = this._context?.services?.storage;
+    this._http = this._context?.services?.http;
+    // `${pagePath}.${ext}` → { etag, lastModified, text } as last read or saved
+    this._versions = new Map();
   }
 
   /**
-   * Read a source HTML document from DA, parse into metadata and data via storage.
-   * @returns {Promise<{pagePath:string,title:string,formData:object,schemaId?:string}>}
+   * Fetch a DA source document with its version.
+   * @returns {Promise<{ text:string, version:{ etag:string|null, lastModified:string|null, text:string } }|null>}
+   *   null when the document does not exist
+   * @throws {HttpError} when it cannot be read
    */
-  async readDocument(pagePath, { storageVersion } = {}) {
-    const { context, token } = await DA_SDK;
+  async _fetchSource(pagePath, ext) {
+    const { context } = await DA_SDK;
     const { org, repo } = context;
-    const opts = { headers: { Authorization: `Bearer ${token}` } };
-    const fullpath = `${DA_ORIGIN}/source/${org}/${repo}${pagePath}.html`;
-    const response = await fetch(fullpath, opts);
-    if (!response.ok) {
-      return { pagePath, title: 'Untitled Page', formData: {}, schemaId: undefined };
+    const response = await this._http.request(`${DA_ORIGIN}/source/${org}/${repo}${pagePath}.${ext}`, { allowMissing: true });
+    if (!response) return null;
+    const text = await response.text();
+    return { text, version: versionOf(response, text) };
+  }
+
+  /**
+   * Read a source document from DA and parse it into metadata and data via
+   * storage, which detects the format it was saved in. The extension of
+   * `storageVersion` is tried first, then the other ones (`.html`, `.json`).
+   * `forms` lists every form of the document, `formData` / `schemaId` being the first.
+   * `lastModified` is the document's Last-Modified header, when DA sends one.
+   * Only a document missing in every format reads as a new, empty page; any
+   * other failure throws, so a page that could not be read is never saved over.
+   * @returns {Promise<{pagePath:string,title:string,formData:object,schemaId?:string,storageVersion?:string,
+   *   forms?:Array<{name:string,schemaId?:string,data:object}>, lastModified?:string}>}
+   * @throws {HttpError} when the document cannot be read
+   */
+  async readDocument(pagePath, { storageVersion } = {}) {
+    const preferred = storageVersion ? [storageVersion] : [];
+    const exts = Array.from(new Set([...preferred, ...this._storage.getVersions()]
+      .map((v) => this._storage.getFormat(v).ext)));
+    let source = null;
+    let found;
+    for (const ext of exts) {
+      source = await this._fetchSource(pagePath, ext);
+      if (source) {
+        found = ext;
+        break;
+      }
     }
-    const htmlContent = await response.text();
-    const { metadata, data } = await this._storage.parseDocument(htmlContent, { storageVersion });
-    const result = { pagePath, title: metadata.title || 'Untitled Page', formData: data, schemaId: metadata.schemaId };
-    console.log('readDocument', result);
+    if (!source) {
+      // Saving must not overwrite a page someone else creates meanwhile
+      this._versions.set(`${pagePath}.${exts[0]}`, MISSING);
+      return { pagePath, title: 'Untitled Page', formData: {}, schemaId: undefined, storageVersion };
+    }
+    const { text: content, version } = source;
+    this._versions.set(`${pagePath}.${found}`, version);
+    const { metadata, data, forms, storageVersion: detected } = await this._storage.parseDocument(content, { storageVersion });
+    const result = {
+      pagePath, title: metadata.title || 'Untitled Page', formData: data, schemaId: metadata.schemaId, storageVersion: detected, forms,
+    };
+    if (version.lastModified) result.lastModified = version.lastModified;
     return result;
   }
 
   /**
-   * Serialize form details to HTML and PUT to DA source. Returns status info.
+   * Read the raw source of a DA document (e.g. a page to import from).
+   * @param {string} pagePath - path relative to org/repo, without extension
+   * @param {{ ext?: string }} [options]
+   * @returns {Promise<string|null>} null when the document does not exist
    */
-  async saveDocument(details, { storageVersion, ext = 'html' } = {}) {
-    console.log('saveDocument', { storageVersion, details });
-    const { context, token } = await DA_SDK;
+  async readSource(pagePath, { ext = 'html' } = {}) {
+    const source = await this._fetchSource(pagePath, ext);
+    return source ? source.text : null;
+  }
+
+  /**
+   * Compare a DA source document with the version it was read (or saved) at,
+   * or with `baseVersion`.
+   * @param {string} pagePath - path relative to org/repo, without extension
+   * @param {{ ext?: string, baseVersion?: object }} [options]
+   * @returns {Promise<null|{ version:object, document:{ title:string, formData:object, schemaId?:string,
+   *   forms?:Array<{name:string,schemaId?:string,data:object}>, storageVersion?:string } }>} null when
+   *   unchanged (or never read), else the remote document parsed like `readDocument`
+   *   and its version, to pass as `baseVersion` when saving a merge with it
+   */
+  async checkConflict(pagePath, { ext = 'html', baseVersion } = {}) {
+    const base = baseVersion || this._versions.get(`${pagePath}.${ext}`);
+    if (!base) return null;
+    const remote = await this._fetchSource(pagePath, ext);
+    if (sameVersion(base, remote ? remote.version : MISSING)) return null;
+    // Deleted meanwhile: saving puts it back
+    if (!remote) return null;
+    const { metadata, data, forms, storageVersion } = await this._storage.parseDocument(remote.text);
+    const document = {
+      title: metadata.title || 'Untitled Page', formData: data, schemaId: metadata.schemaId, forms, storageVersion,
+    };
+    return { version: remote.version, document };
+  }
+
+  /**
+   * Serialize form details via storage into the body uploaded to DA. HTML
+   * storage versions are wrapped in a page shell; json is uploaded as-is.
+   * `schema` places values for the semantic storage version and marks rich
+   * text fields; forms of a multi-form document carry their own `schema`.
+   * @returns {{ body:string, format:{ ext:string, contentType:string, wrapInPage:boolean } }}
+   */
+  buildDocumentBody(details, { storageVersion, schema } = {}) {
+    const format = this._storage.getFormat(storageVersion);
+    const { formMeta, formData, forms } = details;
+    const content = this._storage.serializeDocument({ formMeta, formData, forms }, { storageVersion, schema });
+    const body = format.wrapInPage
+      ? `\n  <body>\n    <header></header>\n    <main>\n      <div>\n        ${content}\n      </div>\n    </main>\n    <footer></footer>\n  </body>\n`
+      : content;
+    return { body, format };
+  }
+
+  /**
+   * Serialize form details (see `buildDocumentBody`) and PUT to DA source.
+   * Returns status info, or `conflict` (see `checkConflict`) without saving
+   * when the document changed since it was read, saved, or `baseVersion`.
+   * The check is a GET before a PUT that carries no precondition: a save by
+   * someone else landing between the two is still overwritten, so this
+   * narrows concurrent overwrites but does not prevent them.
+   * A successful save clears the page's local drafts (see `DraftService`).
+   * A failure returns `{ ok: false, error }` with the `HttpError`.
+   */
+  async saveDocument(details, { storageVersion, ext, schema, baseVersion } = {}) {
+    const startedAt = Date.now();
+    const { context } = await DA_SDK;
     const { org, repo } = context;
-    const content = this._storage.serializeDocument({ formMeta: details.formMeta, formData: details.formData }, { storageVersion });
-    const body = `\n  <body>\n    <header></header>\n    <main>\n      <div>\n        ${content}\n      </div>\n    </main>\n    <footer></footer>\n  </body>\n`;
-    const blob = new Blob([body], { type: "text/html" });
+    const { body, format } = this.buildDocumentBody(details, { storageVersion, schema });
+    const blob = new Blob([body], { type: format.contentType });
     const formData = new FormData();
     formData.append('data', blob);
-    const opts = { headers: { Authorization: `Bearer ${token}` }, method: 'PUT', body: formData };
     const daPath = `/${org}/${repo}${details.pagePath}`;
-    const fullpath = `${DA_ORIGIN}/source${daPath}.${ext}`;
+    const targetExt = ext || format.ext;
+    const fullpath = `${DA_ORIGIN}/source${daPath}.${targetExt}`;
     try {
-      const daResp = await fetch(fullpath, opts);
-      return { daPath, daStatus: daResp.status, daResp, ok: daResp.ok };
+      const conflict = await this.checkConflict(details.pagePath, { ext: targetExt, baseVersion });
+      if (conflict) return { daPath, ok: false, conflict };
+      const daResp = await this._http.request(fullpath, { method: 'PUT', body: formData });
+      // DA may normalize what was sent: remember the version as stored
+      const saved = await this._fetchSource(details.pagePath, targetExt).catch(() => null);
+      if (saved) this._versions.set(`${details.pagePath}.${targetExt}`, saved.version);
+      // Local drafts up to this save are in DA now
+      this._context.services?.drafts?.clear(details.pagePath, { before: startedAt }).catch(() => {});
+      return { daPath, daStatus: daResp.status, daResp, ok: true };
     } catch (error) {
-      return { error };
+      return { daPath, daStatus: error.status, ok: false, error };
     }
   }
 
+  /**
+   * Delete a DA source document (e.g. the `.html` left behind after migrating
+   * a page to json storage).
+   * @param {string} pagePath - path relative to org/repo, without extension
+   * @param {{ ext?: string }} [options]
+   * A document that does not exist counts as deleted.
+   * @returns {Promise<void>}
+   * @throws {HttpError} when the document could not be deleted
+   */
+  async deleteSource(pagePath, { ext = 'html' } = {}) {
+    const { context } = await DA_SDK;
+    const { org, repo } = context;
+    await this._http.request(`${DA_ORIGIN}/source/${org}/${repo}${pagePath}.${ext}`, { method: 'DELETE', allowMissing: true });
+  }
+
   /**
    * Trigger an AEM-side action (e.g., preview/publish) for the given DA path.
    */
@@ -68,21 +205,100 @@ export class DaService {
     const [owner, repo, ...parts] = path.slice(1).toLowerCase().split('/');
     const aemPath = parts.join('/');
     const url = `${AEM_ORIGIN}/${action}/${owner}/${repo}/main/${aemPath}`;
-    const resp = await fetch(url, { method: 'POST' });
-    if (!resp.ok) {
-      const { status } = resp;
-      const message = [401, 403].some((s) => s === status) ? 'Not authorized to' : 'Error during';
-      return { error: { status, type: 'error', message } };
+    try {
+      // Previewing or publishing the same content again is harmless: retry it
+      const resp = await this._http.request(url, { method: 'POST', auth: false, idempotent: true });
+      return resp.json();
+    } catch (error) {
+      return {
+        error: {
+          status: error.status, type: 'error', kind: error.kind, message: error.message,
+        },
+      };
     }
-    return resp.json();
   }
 
-  /** Create a DA version label entry for the saved resource. */
+  /**
+   * Create a DA version label entry for the saved resource.
+   * @returns {Promise<{ ok:boolean, error?:HttpError }>}
+   */
   async saveDaVersion(path, ext = 'html') {
     const fullPath = `${DA_ORIGIN}/versionsource${path}.${ext}`;
-    const { token } = await DA_SDK;
-    const opts = { headers: { Authorization: `Bearer ${token}` }, method: 'POST', body: JSON.stringify({ label: 'Published' }) };
-    try { await fetch(fullPath, opts); } catch {}
+    try {
+      await this._http.request(fullPath, { method: 'POST', body: JSON.stringify({ label: 'Published' }) });
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error };
+    }
+  }
+
+  /**
+   * List the stored DA versions of a document, newest first. Audit entries of
+   * the version list (edits without a stored version) are left out.
+   * @param {string} pagePath - path relative to org/repo, without extension
+   * @param {{ ext?: string }} [options]
+   * @returns {Promise<Array<{ url:string, timestamp:number, label?:string, users:string[] }>>}
+   */
+  async listVersions(pagePath, { ext = 'html' } = {}) {
+    const { context } = await DA_SDK;
+    const { org, repo } = context;
+    const resp = await this._http.request(`${DA_ORIGIN}/versionlist/${org}/${repo}${pagePath}.${ext}`, { allowMissing: true });
+    if (!resp) return [];
+    const json = await resp.json();
+    return (Array.isArray(json) ? json : [])
+      .filter((entry) => entry && entry.url)
+      .map((entry) => ({
+        url: entry.url,
+        timestamp: Number(entry.timestamp) || 0,
+        label: entry.label || undefined,
+        users: (entry.users || []).map((user) => user?.email || String(user)),
+      }))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Read a stored DA version (a `url` from `listVersions`) and parse it like
+   * `readDocument`.
+   * @param {string} url - version source path, e.g. '/versionsource/org/repo/id/vid.html'
+   * @param {{ storageVersion?: string }} [options]
+   * @returns {Promise<{ title:string, formData:object, schemaId?:string, storageVersion?:string,
+   *   forms?:Array<{name:string,schemaId?:string,data:object}> }>}
+   */
+  async readVersion(url, { storageVersion } = {}) {
+    const resp = await this._http.request(`${DA_ORIGIN}${url}`);
+    const content = await resp.text();
+    const { metadata, data, forms, storageVersion: detected } = await this._storage.parseDocument(content, { storageVersion });
+    return {
+      title: metadata.title || 'Untitled Page', formData: data, schemaId: metadata.schemaId, storageVersion: detected, forms,
+    };
+  }
+
+  /**
+   * List the entries of a DA folder (relative to org/repo, e.g. '/blog').
+   * @param {string} folderPath
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<Array<{ name:string, path:string, ext?:string }>>}
+   */
+  async listFolder(folderPath, { signal } = {}) {
+    const { context } = await DA_SDK;
+    const { org, repo } = context;
+    const clean = String(folderPath || '').replace(/\/+$/, '');
+    const resp = await this._http.request(`${DA_ORIGIN}/list/${org}/${repo}${clean}`, { signal });
+    const json = await resp.json();
+    return Array.isArray(json) ? json : [];
+  }
+
+  /**
+   * Whether a DA source document exists (path relative to org/repo, without extension).
+   * @param {string} pagePath
+   * @param {{ signal?: AbortSignal, ext?: string }} [options]
+   * @returns {Promise<boolean>}
+   */
+  async sourceExists(pagePath, { signal, ext = 'html' } = {}) {
+    const { context } = await DA_SDK;
+    const { org, repo } = context;
+    const resp = await this._http.request(`${DA_ORIGIN}/source/${org}/${repo}${pagePath}.${ext}`, { method: 'HEAD', signal, allowMissing: true });
+    return !!resp;
   }
 
   /**
@@ -95,7 +311,7 @@ export class DaService {
    */
   async uploadImage(file, { subdir = '.image', filename } = {}) {
     try {
-      const { context, token } = await DA_SDK;
+      const { context } = await DA_SDK;
       const { org, repo } = context || {};
       if (!org || !repo) throw new Error('Missing org/repo context');
       const originalName = /** @type {any} */(file)?.name || `upload-${Date.now()}`;
@@ -106,9 +322,7 @@ export class DaService {
       const formData = new FormData();
       // When `file` is a Blob (no name), pass the desired filename explicitly
       formData.append('data', file, targetName);
-      const opts = { method: 'PUT', headers: { Authorization: `Bearer ${token}` }, body: formData };
-      console.log('uploadImage', fullUrl, opts);
-      const resp = await fetch(fullUrl, opts);
+      const resp = await this._http.request(fullUrl, { method: 'PUT', body: formData });
       const ok = resp.ok;
       const status = resp.status;
       const daPath = `${dirPath}/${targetName}`; // /{org}/{repo}/.image/name
@@ -117,7 +331,7 @@ export class DaService {
 
       return { ok, status, daPath, resourcePath, previewUrl, response: resp };
     } catch (error) {
-      return { ok: false, status: 0, daPath: '', resourcePath: '', previewUrl: '', error };
+      return { ok: false, status: error?.status || 0, daPath: '', resourcePath: '', previewUrl: '', error };
     }
   }
 
@@ -0,0 +1,100 @@
+/**
+ * DraftService
+ * Local drafts of unsaved form edits in IndexedDB, so a crashed tab or an
+ * expired DA token does not lose them. A draft is the whole document
+ * (`{ title, forms }`) as last edited, keyed by org/repo/pagePath/schemaId of
+ * the form being edited. Without IndexedDB every call is a no-op.
+ */
+
+const DB_NAME = 'da-forms-drafts';
+const STORE = 'drafts';
+
+let dbPromise = null;
+
+/** Shared database connection, created on first use. */
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('page', 'page');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((e) => {
+      dbPromise = null;
+      throw e;
+    });
+  }
+  return dbPromise;
+}
+
+/** Run `fn(store)` in a transaction; resolves with the result of the request it returns. */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  if (!db) return undefined;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export class DraftService {
+  /** @param {object} context - DA context with `org` and `repo` */
+  constructor(context = {}) {
+    this._context = context || {};
+  }
+
+  _page(pagePath) {
+    const { org, repo } = this._context;
+    return `${org}/${repo}${pagePath}`;
+  }
+
+  /**
+   * Store the current document as the draft of `pagePath` / `schemaId`.
+   * @param {string} pagePath
+   * @param {string} schemaId - schema of the form being edited
+   * @param {{ title:string, forms:Array<{name:string,schemaId?:string,data:object}> }} document
+   * @returns {Promise<void>}
+   */
+  async save(pagePath, schemaId, document) {
+    const page = this._page(pagePath);
+    const record = {
+      key: `${page}/${schemaId || ''}`, page, schemaId: schemaId || '', savedAt: Date.now(), document,
+    };
+    await withStore('readwrite', (store) => store.put(record));
+  }
+
+  /**
+   * Drafts of a page, newest first.
+   * @param {string} pagePath
+   * @returns {Promise<Array<{ key:string, schemaId:string, savedAt:number, document:object }>>}
+   */
+  async list(pagePath) {
+    const records = await withStore('readonly', (store) => store.index('page').getAll(this._page(pagePath)));
+    return (records || []).sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Delete the drafts of a page.
+   * @param {string} pagePath
+   * @param {{ before?: number }} [options] - only drafts saved up to this time
+   *   (ms), keeping edits made while a save was in flight
+   * @returns {Promise<void>}
+   */
+  async clear(pagePath, { before = Infinity } = {}) {
+    const stale = (await this.list(pagePath)).filter((record) => record.savedAt <= before);
+    if (!stale.length) return;
+    await withStore('readwrite', (store) => {
+      stale.forEach((record) => store.delete(record.key));
+      return null;
+    });
+  }
+}
+
+export default DraftService;
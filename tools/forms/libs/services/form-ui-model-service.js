@@ -48,6 +48,10 @@ export class FormUiModelService {
       return r.has(propKey);
     };
 
+    // Canonical $ref keys of the current branch; a repeated key means a recursive schema
+    const refKeyOf = (root, node) => (schemaSvc?.getRefKey ? schemaSvc.getRefKey(root, node) : (node?.$ref || null));
+    const withRef = (chain, key) => (key ? [...chain, key] : chain);
+
     const getDataAtPointer = (rootData, pointer) => {
       if (!pointer) return rootData;
       const tokens = pointer.split('/').slice(1).map((t) => t.replace(/~1/g, '/').replace(/~0/g, '~'));
@@ -60,7 +64,12 @@ export class FormUiModelService {
       return cur;
     };
 
-    const buildObjectNode = (rootSchema, key, schemaPointer, dataPath, objSchema, parentActive, isRequired) => {
+    // Properties contributed by an active conditional branch live under it ("#/then/properties/x")
+    const childPointerOf = (parentPointer, origins, childKey) => (origins?.[childKey]
+      ? `${parentPointer}/${origins[childKey]}/properties/${childKey}`
+      : `${parentPointer}/properties/${childKey}`);
+
+    const buildObjectNode = (rootSchema, key, schemaPointer, dataPath, objSchema, parentActive, isRequired, refChain = []) => {
       const node = {
         key,
         type: 'object',
@@ -71,22 +80,45 @@ export class FormUiModelService {
         children: undefined,
       };
 
-      const { properties } = getPropertiesAndRequired(rootSchema, objSchema);
+      // Object unions: render the branch matching the data and point at it ("…/oneOf/1");
+      // conditionals (if/then/else, dependentSchemas) add or hide properties for the data
+      const resolved = schemaSvc?.resolveEffectiveSchema
+        ? schemaSvc.resolveEffectiveSchema(rootSchema, objSchema, getDataAtPointer(data, dataPath))
+        : { schema: objSchema, variant: null, origins: {} };
+      const { variant, origins } = resolved;
+      if (variant) {
+        node.schemaPointer = `${schemaPointer}/${variant.keyword}/${variant.index}`;
+        node.variant = {
+          keyword: variant.keyword,
+          index: variant.index,
+          title: variant.title,
+          discriminator: variant.discriminator,
+          options: variant.options.map(({ index, title }) => ({ index, title })),
+        };
+      }
+      const effectiveSchema = resolved.schema;
+
+      const { properties } = getPropertiesAndRequired(rootSchema, effectiveSchema);
       const children = {};
 
       Object.entries(properties).forEach(([childKey, childSchema]) => {
+        const refKey = refKeyOf(rootSchema, childSchema);
+        const childChain = withRef(refChain, refKey);
         const childNorm = normalize(rootSchema, deref(rootSchema, childSchema) || childSchema) || childSchema;
+        // Object children recurse regardless of data: stop at a recursive $ref (arrays are bounded by data)
+        const isObjectChild = childNorm?.type === 'object' || childNorm?.properties;
+        if (isObjectChild && refKey && refChain.includes(refKey)) return;
         const childPointer = schemaSvc?.pointerOfResolvedNode
           ? schemaSvc.pointerOfResolvedNode(rootSchema, childNorm)
-          : `${schemaPointer}/properties/${childKey}`;
+          : childPointerOf(node.schemaPointer, origins, childKey);
 
         if (childNorm?.type === 'object' || childNorm?.properties) {
           const childDataPath = `${dataPath}/${childKey}`;
-          const childNode = buildObjectNode(rootSchema, childKey, childPointer, childDataPath, childNorm, !!node.isActive, isPropRequired(rootSchema, objSchema, childKey));
+          const childNode = buildObjectNode(rootSchema, childKey, childPointer, childDataPath, childNorm, !!node.isActive, isPropRequired(rootSchema, effectiveSchema, childKey), childChain);
           if (childNode) children[childKey] = childNode;
         } else if (childNorm?.type === 'array' && isArrayOfObjects(rootSchema, childNorm)) {
           const childDataPath = `${dataPath}/${childKey}`;
-          const childNode = buildArrayNode(rootSchema, childKey, childPointer, childDataPath, childNorm, !!node.isActive, isPropRequired(rootSchema, objSchema, childKey));
+          const childNode = buildArrayNode(rootSchema, childKey, childPointer, childDataPath, childNorm, !!node.isActive, isPropRequired(rootSchema, effectiveSchema, childKey), childChain);
           if (childNode) children[childKey] = childNode;
         }
       });
@@ -95,7 +127,7 @@ export class FormUiModelService {
       return node;
     };
 
-    const buildArrayNode = (rootSchema, key, schemaPointer, dataPath, arraySchema, parentActive, isRequired) => {
+    const buildArrayNode = (rootSchema, key, schemaPointer, dataPath, arraySchema, parentActive, isRequired, refChain = []) => {
       const arrData = getDataAtPointer(data, dataPath);
       const length = Array.isArray(arrData) ? arrData.length : 0;
       const isActive = isRequired || length > 0;
@@ -114,11 +146,12 @@ export class FormUiModelService {
 
       if (isActive && length > 0) {
         const items = [];
+        const itemsChain = withRef(refChain, refKeyOf(rootSchema, arraySchema.items));
         for (let i = 0; i < length; i += 1) {
           const itemKey = String(i);
           const itemPointer = `${schemaPointer}/items`;
           const itemDataPath = `${dataPath}/${i}`;
-          const child = buildObjectNode(rootSchema, itemKey, itemPointer, itemDataPath, deref(rootSchema, arraySchema.items) || arraySchema.items, true, true);
+          const child = buildObjectNode(rootSchema, itemKey, itemPointer, itemDataPath, deref(rootSchema, arraySchema.items) || arraySchema.items, true, true, itemsChain);
           items.push(child);
         }
         if (items.length) node.items = items;
@@ -127,8 +160,12 @@ export class FormUiModelService {
     };
 
     // Root
-    const rootNorm = normalize(schema, deref(schema, schema) || schema) || schema;
-    const rootType = rootNorm?.type;
+    const rootBase = normalize(schema, deref(schema, schema) || schema) || schema;
+    const rootResolved = rootBase?.type !== 'array' && schemaSvc?.resolveConditionals
+      ? schemaSvc.resolveConditionals(schema, rootBase, data)
+      : { schema: rootBase, origins: {} };
+    const rootNorm = rootResolved.schema;
+    const rootType = rootBase?.type;
     const root = {
       key: '$root',
       type: rootType === 'array' ? 'array' : 'object',
@@ -145,11 +182,12 @@ export class FormUiModelService {
         const childNorm = normalize(schema, deref(schema, childSchema) || childSchema) || childSchema;
         const childPointer = schemaSvc?.pointerOfResolvedNode
           ? schemaSvc.pointerOfResolvedNode(schema, childNorm)
-          : `#/properties/${key}`;
+          : childPointerOf('#', rootResolved.origins, key);
+        const refChain = withRef([], refKeyOf(schema, childSchema));
         if (childNorm?.type === 'object' || childNorm?.properties) {
-          children[key] = buildObjectNode(schema, key, childPointer, `/${key}`, childNorm, true, isPropRequired(schema, rootNorm, key));
+          children[key] = buildObjectNode(schema, key, childPointer, `/${key}`, childNorm, true, isPropRequired(schema, rootNorm, key), refChain);
         } else if (childNorm?.type === 'array' && isArrayOfObjects(schema, childNorm)) {
-          children[key] = buildArrayNode(schema, key, childPointer, `/${key}`, childNorm, true, isPropRequired(schema, rootNorm, key));
+          children[key] = buildArrayNode(schema, key, childPointer, `/${key}`, childNorm, true, isPropRequired(schema, rootNorm, key), refChain);
         }
       });
       if (Object.keys(children).length) root.children = children;
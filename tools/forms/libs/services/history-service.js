@@ -0,0 +1,199 @@
+/**
+ * HistoryService
+ * Schema-aware comparison of an older version of form data with the current
+ * data, and restoring parts of that version.
+ *
+ * Array items are matched by content: identical items reordered are `moved`,
+ * unmatched ones are paired in order as edited items (their fields diffed),
+ * and the rest are `added` or `removed`.
+ */
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/** Dotted/bracket path of tokens: ['blocks', 0, 'title'] → 'blocks[0].title'. */
+function toPath(tokens) {
+  return tokens.reduce((acc, token) => {
+    if (typeof token === 'number') return `${acc}[${token}]`;
+    return acc ? `${acc}.${token}` : token;
+  }, '');
+}
+
+function getAt(data, tokens) {
+  return tokens.reduce((node, token) => (node == null ? undefined : node[token]), data);
+}
+
+/** Set (or delete, for `undefined`) the value at `tokens`, creating containers on the way. */
+function setAt(data, tokens, value) {
+  let node = data;
+  tokens.slice(0, -1).forEach((token, i) => {
+    if (!node[token] || typeof node[token] !== 'object') node[token] = typeof tokens[i + 1] === 'number' ? [] : {};
+    node = node[token];
+  });
+  const last = tokens[tokens.length - 1];
+  if (value !== undefined) node[last] = value;
+  else if (Array.isArray(node)) node.splice(last, 1);
+  else delete node[last];
+}
+
+/** Positions (in `values`) of a longest strictly increasing subsequence. */
+function increasingRun(values) {
+  const tails = [];
+  const prev = [];
+  values.forEach((value, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (values[tails[mid]] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    prev[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  });
+  const run = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = prev[i]) run.add(i);
+  return run;
+}
+
+export class HistoryService {
+  /** @param {object} context - `services.schema` provides field titles */
+  constructor(context = {}) {
+    this._context = context || {};
+  }
+
+  /**
+   * Differences from `before` (a version) to `after` (the current data).
+   * Paths and indexes of `changed`, `added` and `moved` entries address
+   * `after`; `removed` ones the index the item had in `before`.
+   * @param {object} schema - form schema, for field titles
+   * @param {object} before
+   * @param {object} after
+   * @returns {Array<{ id:string, kind:'changed'|'added'|'removed'|'moved', path:string,
+   *   labels:string[], tokens:Array<string|number>, arrayTokens?:Array<string|number>,
+   *   before?:any, after?:any, from?:number, to?:number }>}
+   */
+  diff(schema, before, after) {
+    const schemaSvc = this._context.services?.schema;
+    const titleAt = (pointer, key) => {
+      try {
+        return (schema && schemaSvc?.getTitleAtPointer(schema, pointer, key)) || key;
+      } catch {
+        return key;
+      }
+    };
+    const entries = [];
+    const push = (entry) => {
+      const path = toPath(entry.tokens);
+      entries.push({ ...entry, id: `${entry.kind}:${path}`, path });
+    };
+
+    const walk = (b, a, tokens, pointer, labels) => {
+      if (isPlainObject(b) && isPlainObject(a)) {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        keys.forEach((key) => {
+          const childPointer = `${pointer}/properties/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+          const childLabels = [...labels, titleAt(childPointer, key)];
+          walk(b[key], a[key], [...tokens, key], childPointer, childLabels);
+        });
+        return;
+      }
+      if (Array.isArray(b) && Array.isArray(a)) {
+        const itemPointer = `${pointer}/items`;
+        const itemLabel = (index) => [...labels.slice(0, -1), `${labels[labels.length - 1] || 'Item'} #${index + 1}`];
+        const used = new Set();
+        const matches = [];
+        a.forEach((item, j) => {
+          const i = b.findIndex((old, k) => !used.has(k) && sameValue(old, item));
+          if (i < 0) return;
+          used.add(i);
+          matches.push([i, j]);
+        });
+        // Matched items out of their former relative order moved
+        const inOrder = increasingRun(matches.map(([i]) => i));
+        matches.forEach(([i, j], k) => {
+          if (inOrder.has(k)) return;
+          push({
+            kind: 'moved', tokens: [...tokens, j], arrayTokens: tokens, labels: itemLabel(j), from: i, to: j, after: a[j],
+          });
+        });
+        const matched = new Set(matches.map(([, j]) => j));
+        const oldRest = b.map((_, i) => i).filter((i) => !used.has(i));
+        const newRest = a.map((_, j) => j).filter((j) => !matched.has(j));
+        const paired = Math.min(oldRest.length, newRest.length);
+        for (let k = 0; k < paired; k += 1) {
+          const j = newRest[k];
+          walk(b[oldRest[k]], a[j], [...tokens, j], itemPointer, itemLabel(j));
+        }
+        oldRest.slice(paired).forEach((i) => push({
+          kind: 'removed', tokens: [...tokens, i], arrayTokens: tokens, labels: itemLabel(i), from: i, before: b[i],
+        }));
+        newRest.slice(paired).forEach((j) => push({
+          kind: 'added', tokens: [...tokens, j], arrayTokens: tokens, labels: itemLabel(j), to: j, after: a[j],
+        }));
+        return;
+      }
+      if (!sameValue(b, a)) {
+        push({
+          kind: 'changed', tokens, labels, before: b, after: a,
+        });
+      }
+    };
+
+    walk(before, after, [], '#', []);
+    return entries;
+  }
+
+  /**
+   * Restore entries of `diff(schema, version, current)` into a copy of
+   * `current`: values take the version's value, added items are removed,
+   * removed items come back and moved items return to their former index.
+   * @param {object} current
+   * @param {Array<object>} entries - selected diff entries
+   * @returns {object}
+   */
+  restore(current, entries) {
+    const data = clone(current) || {};
+    // Values address current indexes: set them before any item moves
+    entries.filter((e) => e.kind === 'changed').forEach((e) => {
+      if (!e.tokens.length) return;
+      setAt(data, e.tokens, clone(e.before));
+    });
+    const root = entries.find((e) => e.kind === 'changed' && !e.tokens.length);
+    if (root) return clone(root.before);
+
+    // Item operations per array, deepest arrays first so outer indexes stay valid
+    const arrays = new Map();
+    entries.filter((e) => e.kind !== 'changed').forEach((e) => {
+      const key = toPath(e.arrayTokens);
+      if (!arrays.has(key)) arrays.set(key, { tokens: e.arrayTokens, entries: [] });
+      arrays.get(key).entries.push(e);
+    });
+    Array.from(arrays.values())
+      .sort((x, y) => y.tokens.length - x.tokens.length)
+      .forEach(({ tokens, entries: ops }) => {
+        const items = getAt(data, tokens);
+        if (!Array.isArray(items)) return;
+        const dropped = new Set(ops.filter((e) => e.kind !== 'removed').map((e) => e.to));
+        const result = items.filter((_, j) => !dropped.has(j));
+        const inserts = [
+          ...ops.filter((e) => e.kind === 'moved').map((e) => ({ item: items[e.to], at: e.from })),
+          ...ops.filter((e) => e.kind === 'removed').map((e) => ({ item: clone(e.before), at: e.from })),
+        ].sort((x, y) => x.at - y.at);
+        inserts.forEach(({ item, at }) => result.splice(Math.min(at, result.length), 0, item));
+        setAt(data, tokens, result);
+      });
+    return data;
+  }
+}
+
+export default HistoryService;
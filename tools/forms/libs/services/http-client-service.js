@@ -0,0 +1,91 @@
+/**
+ * HttpClientService
+ * Shared request layer for DA and AEM calls: adds the DA token, refreshes it
+ * once on 401, retries idempotent requests on network errors, 429 and 5xx
+ * with exponential backoff, and turns every failure into an `HttpError`.
+ */
+
+import { HttpError, RETRY_STATUS } from './http-error.js';
+
+export { HttpError };
+
+const IDEMPOTENT = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/** Delay before retry `attempt` (0-based): Retry-After when sent, else exponential with jitter. */
+function backoff(attempt, baseDelay, response) {
+  const retryAfter = Number(response?.headers?.get('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, 30000);
+  return baseDelay * (2 ** attempt) + Math.floor(Math.random() * baseDelay);
+}
+
+export class HttpClientService {
+  /**
+   * @param {object} context - `services.auth` provides (and refreshes) the DA token
+   * @param {{ retries?:number, baseDelay?:number }} [options]
+   */
+  constructor(context = {}, { retries = 3, baseDelay = 300 } = {}) {
+    this._context = context || {};
+    this._retries = retries;
+    this._baseDelay = baseDelay;
+  }
+
+  /**
+   * Send a request.
+   * @param {string} url
+   * @param {{ method?:string, headers?:object, body?:any, signal?:AbortSignal,
+   *   auth?:boolean, idempotent?:boolean, allowMissing?:boolean }} [options] -
+   *   `auth` (default true) sends the DA token; `idempotent` (default by method)
+   *   allows retries; `allowMissing` resolves a 404 with null instead of throwing
+   * @returns {Promise<Response|null>} the successful response
+   * @throws {HttpError} on failure; an abort rejects with the signal's reason
+   */
+  async request(url, {
+    method = 'GET', headers = {}, body, signal, auth = true, idempotent, allowMissing = false,
+  } = {}) {
+    const verb = method.toUpperCase();
+    const retries = (idempotent ?? IDEMPOTENT.has(verb)) ? this._retries : 0;
+    const authService = this._context.services?.auth;
+    let token = auth ? await authService?.getToken() : null;
+    let refreshed = false;
+    for (let attempt = 0; ; attempt += 1) {
+      const init = {
+        method: verb, body, signal, headers: { ...headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      };
+      let response = null;
+      let failure = null;
+      try {
+        response = await fetch(url, init);
+      } catch (cause) {
+        if (signal?.aborted) throw signal.reason ?? cause;
+        failure = cause;
+      }
+      if (response?.ok) return response;
+      if (response?.status === 404 && allowMissing) return null;
+      if (response?.status === 401 && auth && !refreshed && authService?.refreshToken) {
+        // An expired token is refreshed once; the rejected request had no effect
+        refreshed = true;
+        token = await authService.refreshToken();
+        attempt -= 1;
+      } else {
+        if (attempt >= retries || (response && !RETRY_STATUS.has(response.status))) {
+          if (failure) throw new HttpError('network', { url, method: verb, cause: failure });
+          const { status } = response;
+          throw new HttpError(HttpError.kindOf(status), { status, url, method: verb });
+        }
+        await wait(backoff(attempt, this._baseDelay, response), signal);
+      }
+    }
+  }
+}
+
+export default HttpClientService;
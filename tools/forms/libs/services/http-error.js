@@ -0,0 +1,47 @@
+/**
+ * HttpError
+ * Typed failure of a request made through `HttpClientService`.
+ */
+
+// Statuses worth retrying: timeouts, rate limiting and transient server errors
+export const RETRY_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+const MESSAGES = {
+  'not-found': 'Not found',
+  auth: 'Not authorized, or the session expired',
+  network: 'Network error, check the connection',
+  server: 'The service is unavailable',
+  client: 'Request rejected',
+};
+
+/**
+ * Failed request. `kind` tells how to react: 'not-found' (404), 'auth'
+ * (401/403), 'network' (no response), 'server' (5xx, 429, 408) or 'client'
+ * (other 4xx).
+ */
+export class HttpError extends Error {
+  /**
+   * @param {'not-found'|'auth'|'network'|'server'|'client'} kind
+   * @param {{ status?:number, url?:string, method?:string, cause?:any }} [details]
+   */
+  constructor(kind, {
+    status = 0, url = '', method = 'GET', cause,
+  } = {}) {
+    super(`${MESSAGES[kind] || MESSAGES.client}${status ? ` (${status})` : ''}`, cause ? { cause } : undefined);
+    this.name = 'HttpError';
+    this.kind = kind;
+    this.status = status;
+    this.url = url;
+    this.method = method;
+  }
+
+  /** Error kind of an HTTP status. */
+  static kindOf(status) {
+    if (status === 404) return 'not-found';
+    if (status === 401 || status === 403) return 'auth';
+    if (status >= 500 || RETRY_STATUS.has(status)) return 'server';
+    return 'client';
+  }
+}
+
+export default HttpError;
@@ -2,6 +2,8 @@
  * Copyright 2025 Adobe
  */
 
+import { SCHEMA_REF_ALIASES } from './schema-loader-service.js';
+
 /**
  * LocalSchemaService
  * Discovers and loads local schemas from tools/forms/local-schema/ based on URL flags.
@@ -10,6 +12,32 @@ export class LocalSchemaService {
   constructor(context = {}) {
     this._context = context || {};
     this._base = new URL('../../local-schema/', import.meta.url);
+    this._repoRoot = new URL('../../../../', import.meta.url);
+  }
+
+  /** Load external `$ref`s of a fetched local schema relative to its URL. */
+  async _resolveRefs(schema, url) {
+    await this._context?.services?.schema?.resolveExternalRefs(schema, {
+      baseUri: url.href,
+      fetchRef: (ref, baseUri) => this.loadSchemaByRef(ref, baseUri),
+    });
+    return schema;
+  }
+
+  /**
+   * Fetch a schema referenced by an external `$ref` of a local schema.
+   * @param {string} ref - `$ref` value without fragment
+   * @param {string} [baseUri] - URL of the referencing document
+   * @returns {Promise<{schema:object, uri:string}>}
+   */
+  async loadSchemaByRef(ref, baseUri) {
+    const alias = Object.keys(SCHEMA_REF_ALIASES).find((prefix) => ref.startsWith(prefix));
+    const url = alias
+      ? new URL(`${SCHEMA_REF_ALIASES[alias]}${ref.slice(alias.length)}`, this._repoRoot)
+      : new URL(ref, baseUri || this._base);
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`Failed to fetch referenced schema ${ref} (${res.status})`);
+    return { schema: await res.json(), uri: url.href };
   }
 
   /**
@@ -54,7 +82,7 @@ export class LocalSchemaService {
   async loadSchemaByUrl(relativePath) {
     const res = await fetch(relativePath, { cache: 'no-store' });
     if (!res.ok) throw new Error(`Failed to fetch local schema (${res.status})`);
-    return res.json();
+    return this._resolveRefs(await res.json(), new URL(relativePath, this._base));
   }
 
   async loadSchemaById(localId) {
@@ -63,7 +91,7 @@ export class LocalSchemaService {
     const url = new URL(id, this._base);
     const res = await fetch(url, { cache: 'no-store' });
     if (!res.ok) throw new Error(`Failed to fetch local schema (${res.status})`);
-    return res.json();
+    return this._resolveRefs(await res.json(), url);
   }
 }
 
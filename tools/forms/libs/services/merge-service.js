@@ -0,0 +1,131 @@
+/**
+ * MergeService
+ * Field-level three-way merge of form data trees (base, mine, theirs), used to
+ * resolve a save conflict with a document changed remotely since it was read.
+ *
+ * Trees are compared by leaf path (`blocks[0].cta.url`); empty objects and
+ * arrays are leaves. A field changed on one side only takes that change, a
+ * field changed differently on both sides is a conflict the author resolves.
+ * Array items are matched by index, so a reordered array shows as changes of
+ * each moved item.
+ */
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Leaf values of a tree by path, in document order. */
+function flatten(value, prefix = '', out = new Map()) {
+  if (isPlainObject(value) && Object.keys(value).length) {
+    Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, out));
+  } else if (Array.isArray(value) && value.length) {
+    value.forEach((child, index) => flatten(child, `${prefix}[${index}]`, out));
+  } else if (value !== undefined) {
+    out.set(prefix, value);
+  }
+  return out;
+}
+
+/** Path tokens: `blocks[0].cta` → ['blocks', 0, 'cta']. */
+function tokenize(path) {
+  const tokens = [];
+  path.replace(/([^.[\]]+)|\[(\d+)\]/g, (match, key, index) => {
+    tokens.push(index !== undefined ? Number(index) : key);
+    return match;
+  });
+  return tokens;
+}
+
+/** Drop the holes left in arrays by removed items. */
+function compact(value) {
+  if (Array.isArray(value)) return value.filter((item) => item !== undefined).map(compact);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, compact(child)]));
+  }
+  return value;
+}
+
+/** Rebuild a tree from leaf values by path. */
+function unflatten(leaves) {
+  let root;
+  leaves.forEach((value, path) => {
+    if (path === '') {
+      root = value;
+      return;
+    }
+    const tokens = tokenize(path);
+    if (!root || typeof root !== 'object') root = typeof tokens[0] === 'number' ? [] : {};
+    let node = root;
+    tokens.forEach((token, i) => {
+      if (i === tokens.length - 1) {
+        node[token] = value;
+        return;
+      }
+      const nextIsIndex = typeof tokens[i + 1] === 'number';
+      if (!node[token] || typeof node[token] !== 'object') node[token] = nextIsIndex ? [] : {};
+      node = node[token];
+    });
+  });
+  return compact(root);
+}
+
+export class MergeService {
+  /**
+   * Compare three trees field by field.
+   * @param {any} base - tree both sides started from
+   * @param {any} mine - local tree
+   * @param {any} theirs - remote tree
+   * @returns {Array<{ path:string, base:any, mine:any, theirs:any,
+   *   status:'mine'|'theirs'|'conflict', choice:'mine'|'theirs' }>} fields that
+   *   differ between mine and theirs (`undefined` values are absent), with the
+   *   side a merge takes by default
+   */
+  diff(base, mine, theirs) {
+    const b = flatten(base);
+    const m = flatten(mine);
+    const t = flatten(theirs);
+    const paths = new Set([...m.keys(), ...t.keys(), ...b.keys()]);
+    const fields = [];
+    paths.forEach((path) => {
+      const field = { path, base: b.get(path), mine: m.get(path), theirs: t.get(path) };
+      if (sameValue(field.mine, field.theirs)) return;
+      if (sameValue(field.mine, field.base)) {
+        fields.push({ ...field, status: 'theirs', choice: 'theirs' });
+      } else if (sameValue(field.theirs, field.base)) {
+        fields.push({ ...field, status: 'mine', choice: 'mine' });
+      } else {
+        fields.push({ ...field, status: 'conflict', choice: 'mine' });
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Merge `mine` with the chosen side of each field from `diff`.
+   * @param {any} mine
+   * @param {Array<{ path:string, mine:any, theirs:any, choice:'mine'|'theirs' }>} fields
+   * @returns {any} merged tree
+   */
+  merge(mine, fields) {
+    const leaves = flatten(mine);
+    fields.forEach(({ path, choice, theirs }) => {
+      if (choice !== 'theirs') return;
+      if (theirs === undefined) leaves.delete(path);
+      else leaves.set(path, theirs);
+    });
+    // Absent branches of mine replaced by a leaf of theirs (or the reverse)
+    fields.forEach(({ path, choice, theirs }) => {
+      if (choice !== 'theirs' || theirs === undefined) return;
+      Array.from(leaves.keys())
+        .filter((p) => p !== path && (p.startsWith(`${path}.`) || p.startsWith(`${path}[`)))
+        .forEach((p) => leaves.delete(p));
+    });
+    return unflatten(leaves);
+  }
+}
+
+export default MergeService;
@@ -0,0 +1,264 @@
+/**
+ * Rule expressions
+ *
+ * A small, side-effect free expression language for `x-rules` cross-field
+ * validation. Expressions are parsed into an AST (no `eval`/`Function`) and
+ * evaluated against a data scope.
+ *
+ * Syntax:
+ * - literals: numbers, 'single' / "double" quoted strings, true, false, null
+ * - field references relative to the object holding the rule: `price`,
+ *   `address.zip`, `items[0].qty`; `$root.` reads from the whole form data
+ * - operators: `|| && ! == != === !== < <= > >= + - * / %`, parentheses
+ * - functions: len, empty, number, date, now, matches, min, max, abs, sum
+ *
+ * Example: `!startDate || !endDate || date(endDate) > date(startDate)`
+ */
+
+// No prototype: only the functions listed here can be called (not `constructor`, …)
+const FUNCTIONS = Object.assign(Object.create(null), {
+  /** Length of a string/array, or number of keys of an object. */
+  len: (v) => {
+    if (v == null) return 0;
+    if (typeof v === 'string' || Array.isArray(v)) return v.length;
+    if (typeof v === 'object') return Object.keys(v).length;
+    return String(v).length;
+  },
+  /** Whether a value is missing, '' or an empty array. */
+  empty: (v) => v == null || v === '' || (Array.isArray(v) && v.length === 0),
+  number: (v) => (v === '' || v == null ? NaN : Number(v)),
+  /** Timestamp (ms) of a date/date-time string; NaN when invalid. */
+  date: (v) => (v ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(String(v)) ? `${v}T00:00:00` : String(v)) : NaN),
+  now: () => Date.now(),
+  matches: (v, pattern) => {
+    try {
+      return new RegExp(String(pattern)).test(String(v ?? ''));
+    } catch {
+      return false;
+    }
+  },
+  min: (...args) => Math.min(...args.map(Number)),
+  max: (...args) => Math.max(...args.map(Number)),
+  abs: (v) => Math.abs(Number(v)),
+  /** Sum of an array of numbers, or of `key` across an array of objects. */
+  sum: (arr, key) => (Array.isArray(arr) ? arr : [])
+    .reduce((acc, item) => acc + (Number(key != null ? item?.[key] : item) || 0), 0),
+});
+
+function isFunction(name) {
+  return Object.prototype.hasOwnProperty.call(FUNCTIONS, name);
+}
+
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3,
+  '!=': 3,
+  '===': 3,
+  '!==': 3,
+  '<': 4,
+  '<=': 4,
+  '>': 4,
+  '>=': 4,
+  '+': 5,
+  '-': 5,
+  '*': 6,
+  '/': 6,
+  '%': 6,
+};
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', '[', ']', '.', ','];
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+    } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(src[i + 1] || ''))) {
+      const m = src.slice(i).match(/^\d*\.?\d+(?:[eE][+-]?\d+)?/);
+      tokens.push({ type: 'num', value: Number(m[0]) });
+      i += m[0].length;
+    } else if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let str = '';
+      while (j < src.length && src[j] !== ch) {
+        if (src[j] === '\\' && j + 1 < src.length) j += 1;
+        str += src[j];
+        j += 1;
+      }
+      if (j >= src.length) throw new Error(`Unterminated string at ${i}`);
+      tokens.push({ type: 'str', value: str });
+      i = j + 1;
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const m = src.slice(i).match(/^[A-Za-z_$][\w$]*/);
+      tokens.push({ type: 'id', value: m[0] });
+      i += m[0].length;
+    } else {
+      const rest = src.slice(i);
+      const op = OPERATORS.find((o) => rest.startsWith(o));
+      if (!op) throw new Error(`Unexpected "${ch}" at ${i}`);
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+    }
+  }
+  return tokens;
+}
+
+function parse(src) {
+  const tokens = tokenize(src);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Expected "${value}" in "${src}"`);
+    pos += 1;
+  };
+
+  let parseExpression;
+  const parsePrimary = () => {
+    const tok = peek();
+    if (!tok) throw new Error(`Unexpected end of "${src}"`);
+    pos += 1;
+    if (tok.type === 'num' || tok.type === 'str') return { type: 'lit', value: tok.value };
+    if (tok.type === 'op' && tok.value === '(') {
+      const inner = parseExpression(0);
+      expect(')');
+      return inner;
+    }
+    if (tok.type === 'op' && (tok.value === '!' || tok.value === '-')) {
+      return { type: 'unary', op: tok.value, arg: parseExpression(7) };
+    }
+    if (tok.type === 'id') {
+      if (tok.value === 'true' || tok.value === 'false') return { type: 'lit', value: tok.value === 'true' };
+      if (tok.value === 'null') return { type: 'lit', value: null };
+      if (isOp('(')) {
+        if (!isFunction(tok.value)) throw new Error(`Unknown function "${tok.value}"`);
+        pos += 1;
+        const args = [];
+        while (!isOp(')')) {
+          args.push(parseExpression(0));
+          if (!isOp(')')) expect(',');
+        }
+        expect(')');
+        return { type: 'call', name: tok.value, args };
+      }
+      // Field reference: a.b[0].c
+      const path = [tok.value];
+      while (isOp('.') || isOp('[')) {
+        if (isOp('.')) {
+          pos += 1;
+          const next = peek();
+          if (next?.type !== 'id') throw new Error(`Expected a name after "." in "${src}"`);
+          path.push(next.value);
+          pos += 1;
+        } else {
+          pos += 1;
+          const next = peek();
+          if (next?.type !== 'num' && next?.type !== 'str') throw new Error(`Expected an index in "${src}"`);
+          path.push(String(next.value));
+          pos += 1;
+          expect(']');
+        }
+      }
+      return { type: 'ref', path };
+    }
+    throw new Error(`Unexpected "${tok.value}" in "${src}"`);
+  };
+
+  parseExpression = (minPrecedence) => {
+    let left = parsePrimary();
+    while (peek()?.type === 'op' && BINARY_PRECEDENCE[peek().value] > minPrecedence) {
+      const op = peek().value;
+      pos += 1;
+      const right = parseExpression(BINARY_PRECEDENCE[op]);
+      left = {
+        type: 'binary', op, left, right,
+      };
+    }
+    return left;
+  };
+
+  const ast = parseExpression(0);
+  if (pos < tokens.length) throw new Error(`Unexpected "${peek().value}" in "${src}"`);
+  return ast;
+}
+
+function looseEquals(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null) return (a ?? '') === (b ?? '');
+  return typeof a !== 'object' && typeof b !== 'object' && String(a) === String(b);
+}
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'lit': return node.value;
+    case 'ref': return scope.get(node.path);
+    case 'call': {
+      if (!isFunction(node.name)) throw new Error(`Unknown function "${node.name}"`);
+      return FUNCTIONS[node.name](...node.args.map((a) => evaluate(a, scope)));
+    }
+    case 'unary': {
+      const v = evaluate(node.arg, scope);
+      return node.op === '!' ? !v : -Number(v);
+    }
+    case 'binary': {
+      if (node.op === '&&') return evaluate(node.left, scope) && evaluate(node.right, scope);
+      if (node.op === '||') return evaluate(node.left, scope) || evaluate(node.right, scope);
+      const a = evaluate(node.left, scope);
+      const b = evaluate(node.right, scope);
+      switch (node.op) {
+        case '==': return looseEquals(a, b);
+        case '!=': return !looseEquals(a, b);
+        case '===': return a === b;
+        case '!==': return a !== b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return a / b;
+        case '%': return a % b;
+        default: return undefined;
+      }
+    }
+    default: return undefined;
+  }
+}
+
+function collectRefs(node, out = []) {
+  if (!node) return out;
+  if (node.type === 'ref') out.push(node.path);
+  if (node.type === 'call') node.args.forEach((a) => collectRefs(a, out));
+  if (node.type === 'unary') collectRefs(node.arg, out);
+  if (node.type === 'binary') {
+    collectRefs(node.left, out);
+    collectRefs(node.right, out);
+  }
+  return out;
+}
+
+const compiled = new Map();
+
+/**
+ * Compile a rule expression (memoized).
+ * @param {string} expression
+ * @returns {{ evaluate:(get:(path:string[])=>any)=>any, refs:string[][] }}
+ * @throws {Error} on syntax errors or unknown functions
+ */
+export function compileRule(expression) {
+  const src = String(expression || '');
+  if (!compiled.has(src)) {
+    const ast = parse(src);
+    compiled.set(src, {
+      evaluate: (get) => evaluate(ast, { get }),
+      refs: collectRefs(ast),
+    });
+  }
+  return compiled.get(src);
+}
+
+export default compileRule;
@@ -1,9 +1,19 @@
 /* eslint-disable no-console */
 
+/**
+ * Prefixes of shared schema `$id`s mapped to their folder (relative to the repo root).
+ * Lets page schemas `$ref` the base primitives, e.g. `primitives/text.schema.json`.
+ */
+export const SCHEMA_REF_ALIASES = {
+  'primitives/': 'schema/base/',
+};
+
 /**
  * SchemaLoaderService
  *
  * Fetches JSON Schemas from a GitHub repository and maintains a cache.
+ * External `$ref`s are loaded and registered with SchemaService before a
+ * schema is cached, so consumers can dereference them synchronously.
  */
 export class SchemaLoaderService {
   /** @param {object} context - { org, repo, ref, services } */
@@ -18,13 +28,41 @@ export class SchemaLoaderService {
     this.availableSchemas = new Set();
   }
 
+  /** Build the raw.githubusercontent URL of the repository root for the configured ref. */
+  _buildRepoUrl() {
+    const { owner, repo, ref } = this._config;
+    return `https://raw.githubusercontent.com/${owner}/${repo}/refs/heads/${ref}/`;
+  }
+
   /** Build the base raw.githubusercontent URL for the configured repo/ref. */
   _buildBaseUrl() {
-    const { owner, repo, basePath, ref } = this._config;
-    const refSegment = `refs/heads/${ref}`;
+    const { basePath } = this._config;
     const normalizedBase = (basePath || '').replace(/^\/+/, '').replace(/\/+/, '/');
     const baseWithSlash = normalizedBase.endsWith('/') ? normalizedBase : `${normalizedBase}/`;
-    return `https://raw.githubusercontent.com/${owner}/${repo}/${refSegment}/${baseWithSlash}`;
+    return `${this._buildRepoUrl()}${baseWithSlash}`;
+  }
+
+  /**
+   * Fetch a schema referenced by an external `$ref`. Aliased ids (see
+   * SCHEMA_REF_ALIASES) resolve from the repo root; other refs resolve
+   * relative to the referencing document.
+   * @param {string} ref - `$ref` value without fragment
+   * @param {string} [baseUri] - URI of the referencing document
+   * @returns {Promise<{schema:object, uri:string}>}
+   */
+  async loadSchemaByRef(ref, baseUri) {
+    const alias = Object.keys(SCHEMA_REF_ALIASES).find((prefix) => ref.startsWith(prefix));
+    const url = alias
+      ? `${this._buildRepoUrl()}${SCHEMA_REF_ALIASES[alias]}${ref.slice(alias.length)}`
+      : new URL(ref, baseUri || this._buildBaseUrl()).href;
+    if (this.cache.has(url)) return { schema: this.cache.get(url), uri: url };
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load referenced schema ${ref}: ${response.status} ${response.statusText}`);
+    }
+    const schema = await response.json();
+    this.cache.set(url, schema);
+    return { schema, uri: url };
   }
 
   /** Fetch and cache a schema by name (e.g., "user-profile"). */
@@ -44,6 +82,10 @@ export class SchemaLoaderService {
       if (!hasProps && !hasRef && !hasComposition) {
         throw new Error(`Invalid schema format for ${schemaName}`);
       }
+      await this._context?.services?.schema?.resolveExternalRefs(schema, {
+        baseUri: url,
+        fetchRef: (ref, baseUri) => this.loadSchemaByRef(ref, baseUri),
+      });
       this.cache.set(schemaName, schema);
       this.availableSchemas.add(schemaName);
       return schema;
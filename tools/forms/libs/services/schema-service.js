@@ -7,7 +7,12 @@
  * SchemaService
  * 
  * Instance-based helpers for working with JSON Schemas: $ref dereferencing,
- * normalization (choosing a primary type), titles, and base JSON generation.
+ * normalization (allOf flattening, choosing a primary type), titles, and base
+ * JSON generation.
+ *
+ * Cross-document `$ref`s (e.g. `primitives/text.schema.json`) are resolved
+ * against a registry of external documents populated by `resolveExternalRefs`,
+ * which loaders call once after fetching a schema. Dereferencing stays sync.
  */
 export class SchemaService {
   /** @param {object} context */
@@ -15,6 +20,127 @@ export class SchemaService {
     this._context = context;
     this._derefCache = new WeakMap();
     this._normalizeCache = new WeakMap();
+    // External documents keyed by $id, fetch URL and the $ref string used to load them
+    this._documents = new Map();
+    // Schema node → owning document ({ uri, schema }) so nested refs resolve against it
+    this._nodeDocument = new WeakMap();
+    // oneOf/anyOf branch node → branch merged with the union's shared properties
+    this._variantCache = new WeakMap();
+    // Nodes whose allOf is being flattened (guards self-referencing allOf)
+    this._flattening = new Set();
+    // Node → Map(active-branch key → resolved conditionals)
+    this._conditionalCache = new WeakMap();
+  }
+
+  /**
+   * Load every external `$ref` reachable from `rootSchema` (transitively) and
+   * register the documents so `derefNode` can resolve them synchronously.
+   * Documents are cached across calls; reference cycles between documents are
+   * detected and loaded only once.
+   *
+   * @param {object} rootSchema
+   * @param {{ baseUri?: string, fetchRef: (ref:string, baseUri:string)=>Promise<{schema:object, uri?:string}> }} options
+   * @returns {Promise<object>} the same root schema
+   */
+  async resolveExternalRefs(rootSchema, { baseUri = '', fetchRef } = {}) {
+    if (!rootSchema || typeof rootSchema !== 'object') return rootSchema;
+    this._registerDocument(rootSchema, baseUri || rootSchema.$id || '');
+    if (typeof fetchRef !== 'function') return rootSchema;
+
+    const inFlight = new Map();
+    const visit = async (schema, uri, chain) => {
+      const refs = this._collectExternalRefs(schema);
+      for (const ref of refs) {
+        if (this._lookupDocument(ref, uri)) continue;
+        const key = this._resolveUri(ref, uri);
+        if (chain.includes(key)) {
+          // eslint-disable-next-line no-console
+          console.warn('[schema-service] $ref cycle detected:', [...chain, key].join(' → '));
+          continue;
+        }
+        if (!inFlight.has(key)) {
+          inFlight.set(key, (async () => {
+            try {
+              const loaded = await fetchRef(ref, uri);
+              if (!loaded?.schema) return;
+              const docUri = loaded.uri || key;
+              this._registerDocument(loaded.schema, docUri, [ref, key]);
+              await visit(loaded.schema, docUri, [...chain, key]);
+            } catch (e) {
+              // eslint-disable-next-line no-console
+              console.warn('[schema-service] failed to load $ref', ref, e?.message || e);
+            }
+          })());
+        }
+        await inFlight.get(key);
+      }
+    };
+    await visit(rootSchema, this._nodeDocument.get(rootSchema)?.uri || '', [baseUri || rootSchema.$id || '']);
+    return rootSchema;
+  }
+
+  /** Register a document under its $id/uri/aliases and tag its nodes with their owner. */
+  _registerDocument(schema, uri, aliases = []) {
+    const doc = { uri, schema };
+    [schema.$id, uri, ...aliases].filter(Boolean).forEach((key) => {
+      if (!this._documents.has(key)) this._documents.set(key, doc);
+    });
+    const tag = (node) => {
+      if (!node || typeof node !== 'object' || this._nodeDocument.has(node)) return;
+      this._nodeDocument.set(node, doc);
+      Object.values(node).forEach(tag);
+    };
+    tag(schema);
+  }
+
+  /** Collect distinct `$ref` document parts that point outside the given document. */
+  _collectExternalRefs(schema) {
+    const out = new Set();
+    const seen = new Set();
+    const walk = (node) => {
+      if (!node || typeof node !== 'object' || seen.has(node)) return;
+      seen.add(node);
+      if (typeof node.$ref === 'string' && !node.$ref.startsWith('#')) {
+        out.add(node.$ref.split('#')[0]);
+      }
+      Object.values(node).forEach(walk);
+    };
+    walk(schema);
+    return Array.from(out);
+  }
+
+  /** Resolve `ref` against `baseUri` (absolute URLs via URL, relative ids via path join). */
+  _resolveUri(ref, baseUri) {
+    if (!baseUri || /^[a-z][a-z0-9+.-]*:/i.test(ref)) return ref;
+    try {
+      return new URL(ref, baseUri).href;
+    } catch {
+      const dir = baseUri.includes('/') ? baseUri.slice(0, baseUri.lastIndexOf('/') + 1) : '';
+      const parts = [];
+      `${dir}${ref}`.split('/').forEach((seg) => {
+        if (seg === '..') parts.pop();
+        else if (seg !== '.') parts.push(seg);
+      });
+      return parts.join('/');
+    }
+  }
+
+  /** Find a registered document by $id/alias first, then by URI relative to `baseUri`. */
+  _lookupDocument(uriPart, baseUri) {
+    return this._documents.get(uriPart) || this._documents.get(this._resolveUri(uriPart, baseUri)) || null;
+  }
+
+  /**
+   * Canonical "documentUri#pointer" key for a `$ref` node, stable across documents.
+   * Returns null for nodes without `$ref`.
+   */
+  getRefKey(rootSchema, node) {
+    if (!node || typeof node !== 'object' || typeof node.$ref !== 'string') return null;
+    const [uriPart, fragment = ''] = node.$ref.split('#');
+    const owner = this._nodeDocument.get(node);
+    const baseUri = owner?.uri || '';
+    const doc = uriPart ? this._lookupDocument(uriPart, baseUri) : (owner || null);
+    return `${doc?.uri ?? (uriPart || baseUri)}#${fragment}`;
   }
 
   /** Resolve a JSON Pointer (local) against the provided root schema. */
@@ -51,9 +177,20 @@ export class SchemaService {
       if (current && typeof current === 'object' && current.$ref) {
         current = this.derefNode(rootSchema, current) || current;
       }
+      // allOf members contribute properties/items: traverse the flattened node
+      if (current && typeof current === 'object' && Array.isArray(current.allOf)) {
+        current = this.normalizeSchema(rootSchema, current) || current;
+      }
       if (!current || typeof current !== 'object') return null;
-      if (!(token in current)) return null;
-      current = current[token];
+      // A variant pointer (".../oneOf/1") yields the branch merged with the union's shared properties
+      if ((token === 'oneOf' || token === 'anyOf') && Array.isArray(current[token]) && /^\d+$/.test(parts[i + 1] || '')) {
+        current = this.mergeVariant(rootSchema, current, token, Number(parts[i + 1]));
+        i += 1;
+        if (!current) return null;
+      } else {
+        if (!(token in current)) return null;
+        current = current[token];
+      }
     }
     // Final deref to return effective node
     if (current && typeof current === 'object' && current.$ref) {
@@ -82,49 +219,486 @@ export class SchemaService {
     return this.normalizeSchema(rootSchema, items);
   }
 
-  /** Resolve a $ref within the same document; returns a merged effective node. */
+  /** Return 'oneOf' or 'anyOf' when the node is a non-empty union, else null. */
+  _getUnionKeyword(node) {
+    if (!node || typeof node !== 'object') return null;
+    if (Array.isArray(node.oneOf) && node.oneOf.length > 0) return 'oneOf';
+    if (Array.isArray(node.anyOf) && node.anyOf.length > 0) return 'anyOf';
+    return null;
+  }
+
+  /** Return the `const` (or single-value `enum`) of a property schema, else undefined. */
+  _constOf(rootSchema, propSchema) {
+    const s = this.derefNode(rootSchema, propSchema) || propSchema;
+    if (!s || typeof s !== 'object') return undefined;
+    if (Object.prototype.hasOwnProperty.call(s, 'const')) return s.const;
+    if (Array.isArray(s.enum) && s.enum.length === 1) return s.enum[0];
+    return undefined;
+  }
+
+  /**
+   * Find the discriminator property of an object union: explicit
+   * `discriminator.propertyName` / `x-discriminator`, or the first property that
+   * every branch pins to a distinct `const`.
+   */
+  _getDiscriminator(rootSchema, unionNode, branches) {
+    const explicit = unionNode.discriminator?.propertyName || unionNode['x-discriminator'];
+    if (typeof explicit === 'string' && explicit) return explicit;
+    const candidates = Object.keys(branches[0]?.properties || {});
+    return candidates.find((key) => {
+      const values = branches.map((b) => this._constOf(rootSchema, b.properties?.[key]));
+      return values.every((v) => v !== undefined) && new Set(values).size === values.length;
+    }) || null;
+  }
+
+  /**
+   * Describe an object union (`oneOf`/`anyOf` whose branches are objects).
+   * Returns null for anything else, including unions of primitives.
+   * @returns {{ keyword:string, discriminator:string|null, options:{index:number, title:string, value:any}[] }|null}
+   */
+  getVariants(rootSchema, node) {
+    const s = this.normalizeSchema(rootSchema, node) || node;
+    const keyword = this._getUnionKeyword(s);
+    if (!keyword) return null;
+    const branches = s[keyword].map((b) => this.normalizeSchema(rootSchema, b) || b);
+    if (!branches.every((b) => b && (b.type === 'object' || b.properties))) return null;
+    const discriminator = this._getDiscriminator(rootSchema, s, branches);
+    const options = branches.map((b, index) => {
+      const value = discriminator ? this._constOf(rootSchema, b.properties?.[discriminator]) : undefined;
+      const fallback = value != null ? String(value) : `Option ${index + 1}`;
+      return { index, value, title: this.getSchemaTitle(rootSchema, b, fallback) };
+    });
+    return { keyword, discriminator, options };
+  }
+
+  /**
+   * Return the branch of an object union merged with the union's own
+   * properties/required (shared fields). The union's annotations (title,
+   * description) win over the branch's, whose title labels the variant instead.
+   */
+  mergeVariant(rootSchema, node, keyword, index) {
+    const s = this.normalizeSchema(rootSchema, node) || node;
+    const raw = s?.[keyword]?.[index];
+    if (!raw || typeof raw !== 'object') return null;
+    const cached = this._variantCache.get(raw);
+    if (cached) return cached;
+    const branch = this.normalizeSchema(rootSchema, raw) || raw;
+    const { [keyword]: _omit, properties: sharedProps, required: sharedRequired, ...shared } = s;
+    const out = { ...branch, ...shared };
+    if (!shared.title) delete out.title;
+    out.type = 'object';
+    out.properties = { ...(sharedProps || {}), ...(branch.properties || {}) };
+    out.required = Array.from(new Set([...(sharedRequired || []), ...(branch.required || [])]));
+    const owner = this._nodeDocument.get(branch);
+    if (owner) this._nodeDocument.set(out, owner);
+    this._variantCache.set(raw, out);
+    return out;
+  }
+
+  /**
+   * Pick the union branch that matches `data`: by discriminator value when
+   * present, otherwise by the branch whose properties best fit the data keys.
+   * Returns 0 for empty data and -1 when the node is not an object union.
+   */
+  selectVariant(rootSchema, node, data) {
+    const info = this.getVariants(rootSchema, node);
+    if (!info) return -1;
+    if (!data || typeof data !== 'object' || Array.isArray(data) || Object.keys(data).length === 0) return 0;
+    const { discriminator, options, keyword } = info;
+    if (discriminator && data[discriminator] !== undefined) {
+      const match = options.find((o) => o.value === data[discriminator]);
+      if (match) return match.index;
+    }
+    const dataKeys = Object.keys(data);
+    let best = 0;
+    let bestScore = -Infinity;
+    options.forEach(({ index }) => {
+      const merged = this.mergeVariant(rootSchema, node, keyword, index);
+      const props = merged?.properties || {};
+      const matched = dataKeys.filter((k) => k in props).length;
+      const extra = dataKeys.length - matched;
+      const missing = Object.keys(props).filter((k) => !(k in data)).length;
+      const conflicts = Object.entries(props).filter(([k, p]) => {
+        const c = this._constOf(rootSchema, p);
+        return c !== undefined && data[k] !== undefined && data[k] !== c;
+      }).length;
+      const score = (matched * 2) - (extra * 2) - missing - (conflicts * 100);
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Resolve the active variant of an object union for `data`.
+   * @returns {null|{ keyword:string, discriminator:string|null, options:object[], index:number, title:string, value:any, schema:object }}
+   */
+  resolveVariant(rootSchema, node, data) {
+    const info = this.getVariants(rootSchema, node);
+    if (!info) return null;
+    const index = Math.max(0, this.selectVariant(rootSchema, node, data));
+    const { title, value } = info.options[index];
+    return { ...info, index, title, value, schema: this.mergeVariant(rootSchema, node, info.keyword, index) };
+  }
+
+  /**
+   * Options of a union of constants (`oneOf: [{ const, title }]`), used as a
+   * labelled enum. Returns null unless every branch pins a `const`.
+   * @returns {{ value:any, title:string }[]|null}
+   */
+  getConstOptions(rootSchema, node) {
+    const s = this.derefNode(rootSchema, node) || node;
+    const keyword = this._getUnionKeyword(s);
+    if (!keyword) return null;
+    const options = s[keyword].map((b) => {
+      const branch = this.derefNode(rootSchema, b) || b;
+      const value = this._constOf(rootSchema, branch);
+      return value === undefined ? null : { value, title: branch.title || String(value) };
+    });
+    return options.every(Boolean) ? options : null;
+  }
+
+  /**
+   * Whether a value counts as present for `dependentRequired`/`dependentSchemas`.
+   * Forms materialize every key, so empty strings, null and empty arrays are absent.
+   */
+  _isPresent(value) {
+    return !(value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0));
+  }
+
+  /** Split the conditional keywords (if/then/else, dependent*, legacy dependencies) off a normalized node. */
+  _getConditionalParts(s) {
+    if (!s || typeof s !== 'object') return null;
+    const {
+      if: ifSchema, then: thenSchema, else: elseSchema,
+      dependentRequired = {}, dependentSchemas = {}, dependencies = {}, ...base
+    } = s;
+    const parts = {
+      base, ifSchema, thenSchema, elseSchema, dependentRequired: { ...dependentRequired }, dependentSchemas: [],
+    };
+    Object.entries(dependentSchemas).forEach(([key, sub]) => parts.dependentSchemas.push({ key, sub, suffix: `dependentSchemas/${key}` }));
+    // Draft-07 `dependencies`: arrays are dependentRequired, objects dependentSchemas
+    Object.entries(dependencies).forEach(([key, dep]) => {
+      if (Array.isArray(dep)) parts.dependentRequired[key] = dep;
+      else if (dep && typeof dep === 'object') parts.dependentSchemas.push({ key, sub: dep, suffix: `dependencies/${key}` });
+    });
+    const hasAny = ifSchema !== undefined || Object.keys(parts.dependentRequired).length > 0 || parts.dependentSchemas.length > 0;
+    return hasAny ? parts : null;
+  }
+
+  /** Check a value against a JSON Schema type name. */
+  _isType(value, type) {
+    switch (type) {
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+      case 'null': return value === null;
+      default: return true;
+    }
+  }
+
+  /**
+   * Lightweight JSON Schema match used to evaluate `if` conditions: type,
+   * const/enum, string/number/array bounds, pattern, required, properties,
+   * items and the not/allOf/anyOf/oneOf combinators.
+   */
+  matchesSchema(rootSchema, schema, value) {
+    if (schema === true || schema === undefined) return true;
+    if (schema === false) return false;
+    const s = this.derefNode(rootSchema, schema) || schema;
+    if (!s || typeof s !== 'object') return true;
+    const equals = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+    const matches = (sub, v) => this.matchesSchema(rootSchema, sub, v);
+    if (s.type !== undefined && ![].concat(s.type).some((t) => this._isType(value, t))) return false;
+    if (Object.prototype.hasOwnProperty.call(s, 'const') && !equals(value, s.const)) return false;
+    if (Array.isArray(s.enum) && !s.enum.some((e) => equals(e, value))) return false;
+    if (typeof value === 'number') {
+      if (typeof s.minimum === 'number' && value < s.minimum) return false;
+      if (typeof s.maximum === 'number' && value > s.maximum) return false;
+      if (typeof s.exclusiveMinimum === 'number' && value <= s.exclusiveMinimum) return false;
+      if (typeof s.exclusiveMaximum === 'number' && value >= s.exclusiveMaximum) return false;
+    }
+    if (typeof value === 'string') {
+      if (typeof s.minLength === 'number' && value.length < s.minLength) return false;
+      if (typeof s.maxLength === 'number' && value.length > s.maxLength) return false;
+      if (s.pattern) {
+        try {
+          if (!new RegExp(s.pattern).test(value)) return false;
+        } catch {
+          // Invalid patterns never block a condition
+        }
+      }
+    }
+    if (Array.isArray(value)) {
+      if (typeof s.minItems === 'number' && value.length < s.minItems) return false;
+      if (typeof s.maxItems === 'number' && value.length > s.maxItems) return false;
+      if (s.items && typeof s.items === 'object' && !Array.isArray(s.items) && !value.every((v) => matches(s.items, v))) return false;
+      if (s.contains !== undefined && !value.some((v) => matches(s.contains, v))) return false;
+    }
+    if (this._isType(value, 'object')) {
+      // Forms create every key (empty), so `required` means filled in, as for validation
+      if (Array.isArray(s.required) && !s.required.every((k) => this._isPresent(value[k]))) return false;
+      const props = Object.entries(s.properties || {});
+      if (!props.every(([k, sub]) => value[k] === undefined || matches(sub, value[k]))) return false;
+    }
+    if (s.not !== undefined && matches(s.not, value)) return false;
+    if (Array.isArray(s.allOf) && !s.allOf.every((sub) => matches(sub, value))) return false;
+    if (Array.isArray(s.anyOf) && !s.anyOf.some((sub) => matches(sub, value))) return false;
+    if (Array.isArray(s.oneOf) && s.oneOf.filter((sub) => matches(sub, value)).length !== 1) return false;
+    return true;
+  }
+
+  /**
+   * Apply `if`/`then`/`else`, `dependentRequired` and `dependentSchemas` for
+   * the object `data`. Active branches are merged into the node (nested
+   * conditionals inside a branch are evaluated too); the conditional keywords
+   * themselves are dropped from the result.
+   *
+   * `origins` maps each property contributed only by a branch to the branch's
+   * pointer suffix (e.g. `then`, `dependentSchemas/cta`), so callers can build
+   * real schema pointers; `hidden` lists properties defined only by inactive
+   * branches. Results are memoized per node and active-branch combination,
+   * which `key` identifies (empty when the node has no conditionals).
+   *
+   * @returns {{ schema:object, origins:Object<string,string>, hidden:string[], key:string }}
+   */
+  resolveConditionals(rootSchema, node, data) {
+    const s = this.normalizeSchema(rootSchema, node) || node;
+    const parts = this._getConditionalParts(s);
+    if (!parts) {
+      return {
+        schema: s, origins: {}, hidden: [], key: '',
+      };
+    }
+    const value = this._isType(data, 'object') ? data : {};
+    const active = [];
+    const inactive = [];
+    if (parts.ifSchema !== undefined) {
+      const pass = this.matchesSchema(rootSchema, parts.ifSchema, value);
+      if (parts.thenSchema !== undefined) (pass ? active : inactive).push({ suffix: 'then', sub: parts.thenSchema });
+      if (parts.elseSchema !== undefined) (pass ? inactive : active).push({ suffix: 'else', sub: parts.elseSchema });
+    }
+    parts.dependentSchemas.forEach(({ key, sub, suffix }) => {
+      (this._isPresent(value[key]) ? active : inactive).push({ suffix, sub });
+    });
+    const extraRequired = Object.entries(parts.dependentRequired)
+      .filter(([key]) => this._isPresent(value[key]))
+      .flatMap(([, keys]) => keys);
+
+    let schema = parts.base;
+    const origins = {};
+    const hidden = new Set();
+    const trail = [];
+    active.forEach(({ suffix, sub }) => {
+      const branch = this.resolveConditionals(rootSchema, sub, value);
+      const baseProps = schema.properties || {};
+      Object.keys(branch.schema.properties || {}).forEach((k) => {
+        if (!(k in baseProps)) origins[k] = branch.origins[k] ? `${suffix}/${branch.origins[k]}` : suffix;
+      });
+      branch.hidden.forEach((k) => hidden.add(k));
+      schema = this.mergeSchemas(rootSchema, schema, branch.schema);
+      trail.push(suffix, branch.key || '');
+    });
+    inactive.forEach(({ sub }) => {
+      const branch = this.normalizeSchema(rootSchema, sub) || {};
+      Object.keys(branch.properties || {}).forEach((k) => hidden.add(k));
+      [branch.then, branch.else].forEach((b) => {
+        Object.keys((this.normalizeSchema(rootSchema, b) || {}).properties || {}).forEach((k) => hidden.add(k));
+      });
+    });
+    if (extraRequired.length) {
+      schema = { ...schema, required: Array.from(new Set([...(schema.required || []), ...extraRequired])) };
+    }
+    const owner = this._nodeDocument.get(s);
+    const props = schema.properties || {};
+
+    // Keep a stable object per active combination so memoized consumers see the same schema
+    const key = `${trail.join('>')}#${extraRequired.join(',')}`;
+    let byKey = this._conditionalCache.get(s);
+    if (!byKey) {
+      byKey = new Map();
+      this._conditionalCache.set(s, byKey);
+    }
+    if (!byKey.has(key)) {
+      if (owner) this._nodeDocument.set(schema, owner);
+      byKey.set(key, {
+        schema, origins, hidden: Array.from(hidden).filter((k) => !(k in props)), key,
+      });
+    }
+    return byKey.get(key);
+  }
+
+  /**
+   * Resolve the schema that applies to object `data` at `node`: the active
+   * union variant (if any), then its conditionals. `key` changes whenever a
+   * different variant or set of conditional branches becomes active.
+   * @returns {{ schema:object, variant:object|null, origins:Object<string,string>, hidden:string[], key:string }}
+   */
+  resolveEffectiveSchema(rootSchema, node, data) {
+    const variant = this.resolveVariant(rootSchema, node, data);
+    const base = variant?.schema || this.normalizeSchema(rootSchema, node) || node;
+    const {
+      schema, origins, hidden, key,
+    } = this.resolveConditionals(rootSchema, base, data);
+    return {
+      schema, variant, origins, hidden, key: variant ? `${variant.index}:${key}` : key,
+    };
+  }
+
+  /**
+   * Resolve a $ref (local `#/...`, or external via the document registry) and
+   * return a merged effective node. Chains of refs are followed; cycles stop
+   * at the last resolvable node.
+   */
   derefNode(rootSchema, node) {
     if (!node || typeof node !== 'object' || !node.$ref || typeof node.$ref !== 'string') return node;
     const cached = this._derefCache.get(node);
     if (cached) return cached;
-    const resolvePointer = (ref) => {
-      if (!ref.startsWith('#')) return null;
-      let pointer = ref.slice(1);
+    const resolvePointer = (docSchema, fragment) => {
+      let pointer = fragment;
       if (pointer.startsWith('/')) pointer = pointer.slice(1);
-      if (!pointer) return rootSchema;
+      if (!pointer) return docSchema;
       const parts = pointer.split('/').map((p) => p.replace(/~1/g, '/').replace(/~0/g, '~'));
-      let current = rootSchema;
+      let current = docSchema;
       for (const part of parts) {
         if (current && typeof current === 'object' && part in current) current = current[part];
         else return null;
       }
       return current;
     };
-    const target = resolvePointer(node.$ref);
-    const result = !target ? { ...node } : { ...target, ...Object.fromEntries(Object.entries(node).filter(([k]) => k !== '$ref')) };
+    const resolveRef = (refNode) => {
+      const owner = this._nodeDocument.get(refNode);
+      const [uriPart, fragment = ''] = refNode.$ref.split('#');
+      if (!uriPart) return { target: resolvePointer(owner?.schema || rootSchema, fragment), owner };
+      const doc = this._lookupDocument(uriPart, owner?.uri || '');
+      if (!doc) return { target: null, owner };
+      return { target: resolvePointer(doc.schema, fragment), owner: doc };
+    };
+
+    let result = { ...node };
+    const seen = new Set();
+    let current = node;
+    while (current && current.$ref && typeof current.$ref === 'string') {
+      const key = this.getRefKey(rootSchema, current);
+      if (seen.has(key)) {
+        // eslint-disable-next-line no-console
+        console.warn('[schema-service] $ref cycle detected at', current.$ref);
+        break;
+      }
+      seen.add(key);
+      const { target, owner } = resolveRef(current);
+      if (!target) break;
+      const siblings = Object.fromEntries(Object.entries(result).filter(([k]) => k !== '$ref'));
+      result = { ...target, ...siblings };
+      // Keep resolving relative to the document the target came from
+      if (owner) this._nodeDocument.set(result, owner);
+      current = target.$ref ? result : null;
+    }
     this._derefCache.set(node, result);
     return result;
   }
 
-  /** Normalize a schema node: dereference and coerce `type` arrays to a primary. */
+  /**
+   * Normalize a schema node: dereference, flatten `allOf` and coerce `type`
+   * arrays to a primary. Memoized per node, so every consumer sees the same
+   * effective schema.
+   */
   normalizeSchema(rootSchema, node) {
     if (!node || typeof node !== 'object') return node;
     const cached = this._normalizeCache.get(node);
     if (cached) return cached;
     const s = this.derefNode(rootSchema, node) || node;
     if (!s || typeof s !== 'object') return s;
-    const out = { ...s };
+    const out = Array.isArray(s.allOf) && !this._flattening.has(node)
+      ? this._flattenAllOf(rootSchema, node, s)
+      : { ...s };
+    const owner = this._nodeDocument.get(s);
+    if (owner) this._nodeDocument.set(out, owner);
     if (Array.isArray(out.type)) {
       const primary = out.type.find((t) => t !== 'null') || out.type[0];
       out.type = primary;
     }
+    // Untyped unions whose branches are all objects behave as objects
+    if (!out.type && this._getUnionKeyword(out)) {
+      const branches = out[this._getUnionKeyword(out)].map((b) => this.derefNode(rootSchema, b) || b);
+      const isObjectLike = (b) => !!b && (b.type === 'object' || (Array.isArray(b.type) && b.type.includes('object')) || !!b.properties);
+      if (branches.every(isObjectLike)) out.type = 'object';
+    }
     this._normalizeCache.set(node, out);
     return out;
   }
 
+  /**
+   * Merge `allOf` members in order, then the node's own keywords on top, so
+   * the extending schema's annotations win over its bases.
+   */
+  _flattenAllOf(rootSchema, node, s) {
+    this._flattening.add(node);
+    try {
+      const { allOf, ...own } = s;
+      const merged = allOf.reduce(
+        (acc, sub) => this.mergeSchemas(rootSchema, acc, this.normalizeSchema(rootSchema, sub) || {}),
+        {},
+      );
+      return this.mergeSchemas(rootSchema, merged, own);
+    } finally {
+      this._flattening.delete(node);
+    }
+  }
+
+  /**
+   * Merge two (normalized) schemas as if both applied: `properties` merge per
+   * key, `required` is the union, numeric bounds take the stricter value,
+   * `enum` is intersected, patterns must both match and `x-rules` add up.
+   * Other keywords (title, description, default, format, x-*) are taken from
+   * `override`.
+   */
+  mergeSchemas(rootSchema, base, override) {
+    const out = { ...base };
+    const norm = (n) => this.normalizeSchema(rootSchema, n) || n;
+    const lower = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties'];
+    const upper = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties'];
+    Object.entries(override || {}).forEach(([key, value]) => {
+      const prev = out[key];
+      if (prev === undefined || value === undefined) {
+        if (value !== undefined) out[key] = value;
+        return;
+      }
+      if (key === 'properties') {
+        const props = { ...prev };
+        Object.entries(value).forEach(([k, v]) => {
+          props[k] = props[k] ? this.mergeSchemas(rootSchema, norm(props[k]), norm(v)) : v;
+        });
+        out.properties = props;
+      } else if (key === 'required') {
+        out.required = Array.from(new Set([...prev, ...value]));
+      } else if (key === 'x-rules' && Array.isArray(prev) && Array.isArray(value)) {
+        out[key] = [...prev, ...value];
+      } else if (lower.includes(key) && typeof prev === 'number' && typeof value === 'number') {
+        out[key] = Math.max(prev, value);
+      } else if (upper.includes(key) && typeof prev === 'number' && typeof value === 'number') {
+        out[key] = Math.min(prev, value);
+      } else if (key === 'enum' && Array.isArray(prev) && Array.isArray(value)) {
+        out.enum = prev.filter((v) => value.includes(v));
+      } else if (key === 'pattern' && prev !== value) {
+        out.pattern = `^(?=[\\s\\S]*?(?:${prev}))(?=[\\s\\S]*?(?:${value}))`;
+      } else if (key === 'items' && prev && typeof prev === 'object' && typeof value === 'object' && !Array.isArray(value)) {
+        out.items = this.mergeSchemas(rootSchema, norm(prev), norm(value));
+      } else {
+        out[key] = value;
+      }
+    });
+    return out;
+  }
+
   /** Get a human-friendly title for a property or use a formatted fallback key. */
   getSchemaTitle(rootSchema, propSchema, fallbackKey) {
-    const src = this.derefNode(rootSchema, propSchema) || propSchema;
+    const src = this.normalizeSchema(rootSchema, propSchema) || propSchema;
     return (src && typeof src.title === 'string' && src.title.trim().length > 0)
       ? src.title
       : (fallbackKey ? fallbackKey.replace(/([A-Z])/g, ' $1').replace(/^./, (str) => str.toUpperCase()).replace(/_/g, ' ') : '');
@@ -21,6 +21,10 @@ import { FormUiModelService } from './form-ui-model-service.js';
 import { ConfigService } from './config-service.js';
 import { AssetsService } from './assets-service/AssetsService.js';
 import { AuthService } from './auth-service.js';
+import { MergeService } from './merge-service.js';
+import { HistoryService } from './history-service.js';
+import { DraftService } from './draft-service.js';
+import { HttpClientService } from './http-client-service.js';
 /**
  * ServiceContainer
  *
@@ -81,7 +85,7 @@ export class ServiceContainer {
 
   get validation() {
     if (!this._services.validation) {
-      this._services.validation = new ValidationService();
+      this._services.validation = new ValidationService(this._context);
     }
     return this._services.validation;
   }
@@ -114,4 +118,32 @@ export class ServiceContainer {
     return this._services.auth;
   }
 
+  get merge() {
+    if (!this._services.merge) {
+      this._services.merge = new MergeService();
+    }
+    return this._services.merge;
+  }
+
+  get history() {
+    if (!this._services.history) {
+      this._services.history = new HistoryService(this._context);
+    }
+    return this._services.history;
+  }
+
+  get drafts() {
+    if (!this._services.drafts) {
+      this._services.drafts = new DraftService(this._context);
+    }
+    return this._services.drafts;
+  }
+
+  get http() {
+    if (!this._services.http) {
+      this._services.http = new HttpClientService(this._context);
+    }
+    return this._services.http;
+  }
+
 }
@@ -2,7 +2,15 @@
  * Copyright 2025 Adobe
  */
 
-import { parseDocument as baseParse, serializeDocument as baseSerialize } from './storage/index.js';
+import {
+  parseDocument as baseParse,
+  serializeDocument as baseSerialize,
+  getStorageFormat,
+  getStorageVersions,
+  detectStorageVersion,
+  registerStorageStrategy,
+  STORAGE_VERSIONS,
+} from './storage/index.js';
 
 /**
  * StorageService
@@ -20,14 +28,48 @@ export class StorageService {
     this._context = context || {};
   }
 
-  /** Parse an HTML document string into { metadata, data }. */
-  parseDocument(htmlString, { storageVersion } = {}) {
-    return baseParse(htmlString, { storageVersion, context: this._context, services: this._context.services });
+  /**
+   * Parse a document into { metadata, data, forms, storageVersion }. The
+   * format is sniffed from the document; `storageVersion` only applies when it
+   * cannot be detected (e.g. an empty or plain page). `forms` lists every form
+   * of the document (`{ name, schemaId, data }`), the first being `data`.
+   */
+  async parseDocument(htmlString, { storageVersion } = {}) {
+    const detected = detectStorageVersion(htmlString) || storageVersion || STORAGE_VERSIONS.HTML;
+    const result = await baseParse(htmlString, { storageVersion: detected, context: this._context, services: this._context.services });
+    const forms = result.forms || [{ name: '', schemaId: result.metadata?.schemaId, data: result.data }];
+    return { ...result, forms, storageVersion: detected };
   }
 
-  /** Serialize form metadata and data into HTML block markup. */
-  serializeDocument({ formMeta, formData }, { storageVersion } = {}) {
-    return baseSerialize({ formMeta, formData }, { storageVersion });
+  /**
+   * Serialize form metadata and data into HTML block markup. `forms` holds
+   * every form of a multi-form document. `schema` is the form's schema,
+   * required by the semantic storage version and for rich text fields.
+   */
+  serializeDocument({ formMeta, formData, forms }, { storageVersion, schema } = {}) {
+    const { services } = this._context;
+    return baseSerialize({ formMeta, formData, forms }, { storageVersion, schema, services });
+  }
+
+  /** Storage versions a document can be saved (or migrated) as. */
+  getVersions() {
+    return getStorageVersions();
+  }
+
+  /**
+   * Add a project storage format (e.g. YAML front-matter or DA sheet JSON).
+   * It takes part in format detection, migration and `?storage=` validation.
+   * @param {string} name - storage version name
+   * @param {{ parseDocument:Function, serializeDocument:Function, detect?:Function,
+   *   format?:{ ext?:string, contentType?:string, wrapInPage?:boolean } }} strategy
+   */
+  registerStorageStrategy(name, strategy) {
+    registerStorageStrategy(name, strategy);
+  }
+
+  /** DA resource format of a storage version: `{ ext, contentType, wrapInPage }`. */
+  getFormat(storageVersion) {
+    return getStorageFormat(storageVersion);
   }
 }
 
@@ -8,6 +8,11 @@ import { selectAll } from "https://esm.sh/hast-util-select@6";
 import { toString } from "https://esm.sh/hast-util-to-string@3";
 
 export default class CodeBlockStorage {
+  // Whether html holds a `pre > code` JSON block
+  detect(htmlString) {
+    return /<pre[^>]*>\s*<code[^>]*>\s*\{/i.test(htmlString);
+  }
+
   // Parse html into { metadata, data }
   parseDocument(htmlString) {
     try {
@@ -16,6 +21,11 @@ export default class CodeBlockStorage {
       if (codeNodes && codeNodes.length > 0) {
         const codeText = toString(codeNodes[0]) || '';
         const parsed = JSON.parse(codeText);
+        if (parsed && Array.isArray(parsed.forms) && parsed.forms.length > 0) {
+          const forms = parsed.forms.map((form) => ({ name: form.name || '', schemaId: form.schemaId, data: form.data || {} }));
+          const title = parsed.title || 'Untitled Page';
+          return { metadata: { title, schemaId: forms[0].schemaId }, data: forms[0].data, forms };
+        }
         if (parsed && parsed.data && (parsed.schemaId)) {
           const schemaId = parsed.schemaId;
           const title = parsed.title || 'Untitled Page';
@@ -28,9 +38,12 @@ export default class CodeBlockStorage {
     return { metadata: {}, data: {} };
   }
 
-  // Serialize { formMeta, formData } into code block
-  serializeDocument({ formMeta, formData }) {
-    const payload = {
+  // Serialize { formMeta, formData } (or several `forms`) into code block
+  serializeDocument({ formMeta, formData, forms }) {
+    const payload = forms ? {
+      title: formMeta?.title || 'Untitled Page',
+      forms: forms.map(({ name, schemaId, data }) => ({ name: name || '', schemaId: schemaId || 'inline', data: data || {} })),
+    } : {
       schemaId: formMeta?.schemaId || 'inline',
       title: formMeta?.title || 'Untitled Page',
       data: formData || {},
@@ -1,101 +1,213 @@
 /**
  * HtmlTableStorage
  * Strategy to store form meta/data as semantic HTML (DIV tables via HAST)
+ *
+ * Every row is `key | value | type`. The type cell keeps values lossless
+ * without a schema:
+ * - `string`, `number`, `boolean`, `null`: primitive, value is its text
+ * - `json`: a string with leading/trailing whitespace, value is JSON-quoted
+ * - `html`: a rich text string (see `rich-text.js`), value cell holds its
+ *   sanitized nodes; needs the schema when serializing, not when parsing
+ * - `image`: an image field (`x-semantic-type: image|picture`), value cell
+ *   holds `<picture><img src>` so delivery optimizes it and DA previews it
+ * - `link`: a file (`x-semantic-type: file`) or uri-formatted field, value
+ *   cell holds `<a href>`
+ * - `object`: value is a `#ref` to the table holding the object
+ * - `array`: value is a comma separated `#ref` list (empty for `[]`)
+ * - `item:<type>`: the single `value` row of a table wrapping a primitive
+ *   (or nested array) array item
+ *
+ * Refs are path-based (`#blocks-0-cta`), so a save only changes the ids of
+ * data that moved. Any ref id (including the former `#key-N` numbering) is
+ * resolved by class name when reading.
+ *
+ * Guarantee: for any JSON data (objects, arrays, strings, finite numbers,
+ * booleans, null) `parseDocument(serializeDocument(x))` deep-equals `x`,
+ * with or without a schema. Property names are trimmed. Two-cell rows of
+ * documents written before type hints are still read, coerced by the schema
+ * where one is available.
+ *
+ * A document may hold several forms: each starts with its own `Form` table
+ * (`title`, `schemaId`, `name`) followed by its data tables, whose refs are
+ * prefixed with the form name so they stay unique in the page.
  */
 
 import { h } from "https://esm.sh/hastscript@9";
 import { fromHtml } from "https://esm.sh/hast-util-from-html@2";
 import { toHtml } from "https://esm.sh/hast-util-to-html@9";
-import { selectAll } from "https://esm.sh/hast-util-select@6";
+import { select, selectAll } from "https://esm.sh/hast-util-select@6";
 import { toString } from "https://esm.sh/hast-util-to-string@3";
 import { toClassName } from "../../../utils.js";
+import { isRichText, richTextToNodes, nodesToRichText } from "./rich-text.js";
 
 const DEFAULT_ROOT_NAME = "Form";
+const IMAGE_TYPES = ["image", "picture"];
+const URI_FORMATS = ["uri", "uri-reference", "iri", "iri-reference"];
+
+/** Cell markup of a string field by schema hints: `image`, `link`, or null for text. */
+function mediaTypeOf(schema) {
+  if (!schema) return null;
+  if (IMAGE_TYPES.includes(schema["x-semantic-type"])) return "image";
+  if (schema["x-semantic-type"] === "file" || URI_FORMATS.includes(schema.format)) return "link";
+  return null;
+}
+
+/** `src` of the image or `href` of the link in a cell, if any. */
+function mediaUrlOf(cell) {
+  const src = select("img", cell)?.properties?.src;
+  if (src) return String(src);
+  const href = select("a", cell)?.properties?.href;
+  return href ? String(href) : undefined;
+}
 
 // -----------------------------
 // HTML tables helpers (scoped to this module)
 // -----------------------------
 
-export function jsonToHtml(jsonData, rootName = DEFAULT_ROOT_NAME) {
-  const processedObjects = new Set();
+export function jsonToHtml(jsonData, rootName = DEFAULT_ROOT_NAME, { idPrefix = "", schema, services } = {}) {
+  const usedRefIds = new Set();
   const objectQueue = [];
   const tables = [];
+  // Dereferenced schema nodes, to find rich text fields
+  const norm = (node) => (node && services?.schema ? services.schema.normalizeSchema(schema, node) || node : node);
 
-  function generateRefId(name, number = 0) {
-    return `${toClassName(name)}-${number}`;
+  /**
+   * Path-based ref id (`blocks-0-cta`), stable when unrelated data changes.
+   * Ids are already class-name safe, as DA normalizes block class names;
+   * the rare paths normalizing to the same id get a numeric suffix.
+   */
+  function generateRefId(parentRefId, segment) {
+    const base = toClassName(parentRefId ? `${parentRefId}-${segment}` : String(segment)) || "item";
+    let refId = base;
+    for (let n = 2; usedRefIds.has(refId); n += 1) refId = `${base}-${n}`;
+    usedRefIds.add(refId);
+    return refId;
   }
 
   function isObject(value) {
     return value !== null && typeof value === "object" && !Array.isArray(value);
   }
 
-  function createTable(name, data, refId = null) {
-    const tableHeader = refId ? `${name} ${refId}` : name;
+  function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "string" && value.trim() !== value) return "json";
+    return typeof value;
+  }
+
+  function createRow(key, value, type) {
+    return h("div", {}, [h("div", {}, key), h("div", {}, value), h("div", {}, type)]);
+  }
+
+  function createTable(name, data, refId = null, isItem = false, tableSchema = undefined) {
+    // The ref id must stay the second class name, whatever characters the key has
+    const tableHeader = refId ? `${toClassName(name) || "block"} ${refId}` : name;
     const rows = [];
     for (const [key, value] of Object.entries(data)) {
-      const childRefId = generateRefId(key, objectQueue.length);
-      const combinedRefId = refId ? `${refId}/${childRefId}` : childRefId;
+      if (value === undefined) continue;
+      // An item wrapper's `value` row is described by the item schema itself
+      const propSchema = isItem ? tableSchema : norm(tableSchema?.properties?.[key]);
+      const type = isItem ? `item:${typeOf(value)}` : typeOf(value);
       if (Array.isArray(value)) {
-        const arrayRefs = [];
-        value.forEach((item, index) => {
-          const itemRefId = `${combinedRefId}-${index}`;
-          arrayRefs.push(`#${itemRefId}`);
-          if (isObject(item)) {
-            if (!processedObjects.has(itemRefId)) {
-              objectQueue.push({ name: key, data: item, refId: itemRefId });
-              processedObjects.add(itemRefId);
-            }
-          } else {
-            if (!processedObjects.has(itemRefId)) {
-              objectQueue.push({ name: key, data: { value: item }, refId: itemRefId });
-              processedObjects.add(itemRefId);
-            }
-          }
+        const arrayRefId = generateRefId(refId || idPrefix, key);
+        const itemSchema = norm(propSchema?.items);
+        const arrayRefs = value.map((item, index) => {
+          const itemRefId = generateRefId(arrayRefId, index);
+          // Primitives (and nested arrays) are wrapped in a single `value` row
+          objectQueue.push(isObject(item)
+            ? { name: key, data: item, refId: itemRefId, schema: itemSchema }
+            : { name: key, data: { value: item }, refId: itemRefId, isItem: true, schema: itemSchema });
+          return `#${itemRefId}`;
         });
-        rows.push(h("div", {}, [h("div", {}, key), h("div", {}, arrayRefs.join(", "))]));
+        rows.push(createRow(key, arrayRefs.join(", "), type));
       } else if (isObject(value)) {
-        rows.push(h("div", {}, [h("div", {}, key), h("div", {}, `#${combinedRefId}`)]));
-        if (!processedObjects.has(combinedRefId)) {
-          objectQueue.push({ name: key, data: value, refId: combinedRefId });
-          processedObjects.add(combinedRefId);
-        }
+        const childRefId = generateRefId(refId || idPrefix, key);
+        rows.push(createRow(key, `#${childRefId}`, type));
+        objectQueue.push({ name: key, data: value, refId: childRefId, schema: propSchema });
+      } else if (typeof value === "string" && isRichText(propSchema)) {
+        rows.push(createRow(key, richTextToNodes(value), isItem ? "item:html" : "html"));
+      } else if (typeof value === "string" && value && value.trim() === value && mediaTypeOf(propSchema)) {
+        const media = mediaTypeOf(propSchema);
+        const node = media === "image"
+          ? h("picture", {}, [h("img", { src: value, alt: "" })])
+          : h("a", { href: value }, value);
+        rows.push(createRow(key, [node], isItem ? `item:${media}` : media));
+      } else if (value === null) {
+        rows.push(createRow(key, "", type));
       } else {
-        rows.push(h("div", {}, [h("div", {}, key), h("div", {}, String(value))]));
+        rows.push(createRow(key, type.endsWith("json") ? JSON.stringify(value) : String(value), type));
       }
     }
     return h("div", { class: tableHeader }, rows);
   }
 
-  tables.push(createTable(rootName, jsonData));
-  processedObjects.add(generateRefId(rootName));
+  tables.push(createTable(rootName, jsonData, null, false, norm(schema)));
   while (objectQueue.length > 0) {
-    const { name, data, refId } = objectQueue.shift();
-    tables.push(createTable(name, data, refId));
+    const { name, data, refId, isItem, schema: tableSchema } = objectQueue.shift();
+    tables.push(createTable(name, data, refId, isItem, tableSchema));
   }
   const rootNode = { type: "root", children: tables };
   return toHtml(rootNode);
 }
 
 export async function htmlToJson(htmlString, { schema, schemaId, context, services } = {}) {
+  // Tables of the form being resolved, by ref id (refilled for each `Form` table)
   const blocks = {};
   const references = {};
-  let metadata = {};
+  // Blocks parsed from typed (three-cell) rows: keys whose value is final or a typed ref
+  const typedKeys = new WeakMap();
+  // Blocks wrapping a primitive array item in a single `value` row
+  const itemBlocks = new WeakSet();
   const hastTree = fromHtml(htmlString);
   const tableDivs = selectAll("main > div > div", hastTree);
 
+  function parseTypedValue(value, type) {
+    switch (type) {
+      case "null": return null;
+      case "boolean": return value === "true";
+      case "number": return Number(value);
+      case "json": return JSON.parse(value);
+      case "object":
+      case "array":
+        return { refs: value ? value.split(",").map((id) => toClassName(id.trim().substring(1))) : [], type };
+      default: return value;
+    }
+  }
+
+  // Rich text keeps its markup, media their URL; other types are read from the cell text
+  function readTypedCell(cell, type) {
+    if (type === "html") return nodesToRichText(cell);
+    if (type === "image" || type === "link") return mediaUrlOf(cell) ?? toString(cell).trim();
+    return parseTypedValue(toString(cell).trim(), type);
+  }
+
   function parseRowsToBlockData(rows) {
     const data = {};
+    const typed = new Set();
+    let isItem = false;
     for (let i = 0; i < rows.length; i++) {
       const cells = rows[i].children.filter((child) => child.type === "element");
-      if (cells.length >= 2) {
+      if (cells.length >= 3) {
+        const key = toString(cells[0]).trim();
+        const rawType = toString(cells[2]).trim();
+        const type = rawType.replace(/^item:/, "");
+        if (type !== rawType) isItem = true;
+        data[key] = readTypedCell(cells[1], type);
+        typed.add(key);
+      } else if (cells.length >= 2) {
         const key = toString(cells[0]).trim();
-        const value = toString(cells[1]).trim();
-        if (value.startsWith("#")) data[key] = value; else data[key] = parseValue(value);
+        const text = toString(cells[1]).trim();
+        // An image (no text) or a link showing its own URL, e.g. authored in DA
+        const url = mediaUrlOf(cells[1]);
+        data[key] = url && (!text || text === url) ? url : text;
       }
     }
+    typedKeys.set(data, typed);
+    if (isItem) itemBlocks.add(data);
     return data;
   }
 
+  // Legacy (untyped) rows: best-effort guess when no schema describes the value
   function parseValue(value) {
     if (value === "") return "";
     if (value === "true") return true;
@@ -113,12 +225,12 @@ export async function htmlToJson(htmlString, { schema, schemaId, context, servic
   }
 
   function coercePrimitive(value, expectedType) {
-    if (!expectedType) return value;
+    if (!expectedType) return parseValue(value);
     if (expectedType === "boolean") {
       if (value === "") return false;
-      return Boolean(value);
+      return value !== "false" && Boolean(value);
     }
-    if (expectedType === "number") {
+    if (expectedType === "number" || expectedType === "integer") {
       if (value === "") return 0;
       const n = Number(value);
       return Number.isNaN(n) ? value : n;
@@ -126,22 +238,50 @@ export async function htmlToJson(htmlString, { schema, schemaId, context, servic
     if (expectedType === "string") {
       return value === undefined || value === null ? "" : String(value);
     }
-    return value;
+    return parseValue(value);
+  }
+
+  function resolveBlock(refId, blockSchema) {
+    const block = blocks[refId];
+    if (!block) return null;
+    const resolved = resolveReferences(block, blockSchema);
+    return itemBlocks.has(block) ? resolved.value : resolved;
+  }
+
+  function resolveTyped(value, propertySchema) {
+    if (!value || typeof value !== "object" || !Array.isArray(value.refs)) return value;
+    if (value.type === "array") {
+      return value.refs.map((refId) => {
+        const resolved = resolveBlock(refId, propertySchema?.items);
+        return resolved === null && !blocks[refId] ? {} : resolved;
+      });
+    }
+    // Empty objects have no rows, hence no table
+    return value.refs.length ? (resolveBlock(value.refs[0], propertySchema) ?? {}) : {};
   }
 
   function resolveReferences(obj, currentSchema) {
     const resolved = {};
+    const typed = typedKeys.get(obj);
+    // Array item wrappers describe the item itself, not a `value` property
+    const wrapped = itemBlocks.has(obj) || (obj && Object.keys(obj).length === 1 && "value" in obj
+      && currentSchema && currentSchema.type && currentSchema.type !== "object");
     for (const [key, value] of Object.entries(obj)) {
-      const propertySchema = getPropertySchema(currentSchema, key);
+      const propertySchema = wrapped && key === "value" ? currentSchema : getPropertySchema(currentSchema, key);
 
-      if (typeof value === "string" && value.startsWith("#")) {
+      if (typed?.has(key)) {
+        resolved[key] = resolveTyped(value, propertySchema);
+      } else if (typeof value === "string" && value.startsWith("#")) {
         const refIds = value.split(",").map((id) => toClassName(id.substring(1).trim()));
         // If schema says this property is an array, always return an array
         if (propertySchema && propertySchema.type === "array") {
           const itemSchema = propertySchema.items;
+          // Primitive items are stored as `{ value }` tables
+          const primitiveItems = itemSchema && itemSchema.type && itemSchema.type !== "object";
           const items = refIds
             .map((refId) => (blocks[refId] ? resolveReferences(blocks[refId], itemSchema) : null))
-            .filter((v) => v !== null);
+            .filter((v) => v !== null)
+            .map((item) => (primitiveItems && "value" in item ? item.value : item));
           resolved[key] = items;
         } else {
           // Single or multi refs but no array in schema → collapse single
@@ -159,68 +299,99 @@ export async function htmlToJson(htmlString, { schema, schemaId, context, servic
           } else if (Array.isArray(value)) {
             resolved[key] = value;
           } else {
-            // Best-effort: wrap a single parsed/coerced item if schema expects primitives
+            // Best-effort: wrap a single coerced item if schema expects primitives
             const itemSchema = propertySchema.items;
-            const coerced = coercePrimitive(parseValue(value), itemSchema && itemSchema.type);
-            resolved[key] = [coerced];
+            resolved[key] = [coercePrimitive(value, itemSchema && itemSchema.type)];
           }
         } else if (propertySchema && propertySchema.type && propertySchema.type !== "object") {
-          resolved[key] = coercePrimitive(parseValue(value), propertySchema.type);
+          resolved[key] = coercePrimitive(value, propertySchema.type);
         } else {
-          resolved[key] = value;
+          resolved[key] = parseValue(value);
         }
       }
     }
     return resolved;
   }
 
+  // Each `Form` table starts a form; the data tables following it are its own
+  const groups = [];
   tableDivs.forEach((tableNode) => {
     const rows = tableNode.children.filter((child) => child.type === "element");
     if (rows.length < 1) return;
     const blockName = tableNode.properties?.className?.[0];
     const refId = tableNode.properties?.className?.[1];
-    if (blockName === DEFAULT_ROOT_NAME) {
-      metadata = parseRowsToBlockData(rows);
+    if (blockName === DEFAULT_ROOT_NAME && !refId) {
+      groups.push({ metadata: resolveReferences(parseRowsToBlockData(rows)), blocks: {} });
       return;
     }
+    if (!groups.length) groups.push({ metadata: {}, blocks: {} });
     const blockData = parseRowsToBlockData(rows);
     if (Object.keys(blockData).length > 0) {
+      const group = groups[groups.length - 1];
       if (refId) {
-        blocks[refId] = blockData;
-        references[refId] = blockName;
+        // Refs are looked up by class name, as DA normalizes block class names
+        group.blocks[toClassName(refId)] = blockData;
+        references[toClassName(refId)] = blockName;
       } else {
-        blocks["__root__"] = blockData;
+        group.blocks["__root__"] = blockData;
       }
     }
   });
+  if (!groups.length) groups.push({ metadata: {}, blocks: {} });
 
-  const rootData = blocks["__root__"] || {};
-
-  // Determine schema to use (prefer provided, fallback to metadata.schemaId)
-  let effectiveSchema = schema;
-  const schemaName = schemaId || metadata.schemaId;
-  try {
-    if (!effectiveSchema && schemaName) {
-      effectiveSchema = await services.schemaLoader.loadSchema(schemaName);
+  // The provided schema only describes a document holding a single form
+  const single = groups.length === 1;
+  const forms = [];
+  for (const group of groups) {
+    // Determine schema to use (prefer provided, fallback to metadata.schemaId)
+    let effectiveSchema = single ? schema : undefined;
+    const schemaName = (single && schemaId) || group.metadata.schemaId;
+    try {
+      if (!effectiveSchema && schemaName) {
+        effectiveSchema = await services.schemaLoader.loadSchema(schemaName);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('[html-storage] Failed to load schema for htmlToJson:', e?.message || e);
     }
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.warn('[html-storage] Failed to load schema for htmlToJson:', e?.message || e);
+    Object.keys(blocks).forEach((refId) => { delete blocks[refId]; });
+    Object.assign(blocks, group.blocks);
+    const data = resolveReferences(blocks["__root__"] || {}, effectiveSchema);
+    forms.push({ metadata: group.metadata, data });
   }
 
-  return { metadata, data: resolveReferences(rootData, effectiveSchema) };
+  const [{ metadata, data }] = forms;
+  if (single && !("name" in metadata)) return { metadata, data };
+  return {
+    metadata: { title: metadata.title, schemaId: metadata.schemaId },
+    data,
+    forms: forms.map((form) => ({ name: form.metadata.name || "", schemaId: form.metadata.schemaId, data: form.data })),
+  };
+}
+
+function serializeForm(formMeta, formData, { idPrefix, schema, services } = {}) {
+  const form = jsonToHtml(formMeta || {}, DEFAULT_ROOT_NAME);
+  const data = jsonToHtml(formData || {}, formMeta?.schemaId || 'data', { idPrefix, schema, services });
+  return `${form}\n${data}`;
 }
 
 export default class HtmlTableStorage {
+  // Whether html holds the `Form` metadata table
+  detect(htmlString) {
+    return /<div class="Form"/.test(htmlString);
+  }
+
   // Parse html into { metadata, data }
   async parseDocument(htmlString, opts = {}) {
     return htmlToJson(htmlString, opts);
   }
-  // Serialize { formMeta, formData } into HTML fragment
-  serializeDocument({ formMeta, formData }) {
-    const form = jsonToHtml(formMeta || {}, DEFAULT_ROOT_NAME);
-    const data = jsonToHtml(formData || {}, formMeta?.schemaId || 'data');
-    return `${form}\n${data}`;
+  // Serialize { formMeta, formData } (or several `forms`, each with its own schema) into HTML fragment
+  serializeDocument({ formMeta, formData, forms }, { schema, services } = {}) {
+    if (!forms) return serializeForm(formMeta, formData, { schema, services });
+    return forms.map(({ name, schemaId, data, schema: formSchema }) => {
+      const meta = { title: formMeta?.title, schemaId, name: name || "" };
+      return serializeForm(meta, data, { idPrefix: name, schema: formSchema, services });
+    }).join("\n");
   }
 }
 
@@ -1,27 +1,112 @@
 import HtmlTableStorage from './html-storage.js';
 import CodeBlockStorage from './code-storage.js';
+import JsonStorage from './json-storage.js';
+import SemanticStorage from './semantic-storage.js';
 
 export const STORAGE_VERSIONS = {
   HTML: 'html',
   CODE: 'code',
+  JSON: 'json',
+  SEMANTIC: 'semantic',
 };
 
-function getStorageStrategy(storageVersion) {
-  switch (storageVersion) {
-    case STORAGE_VERSIONS.CODE:
-      return new CodeBlockStorage();
-    case STORAGE_VERSIONS.HTML:
-    default:
-      return new HtmlTableStorage();
+const HTML_PAGE = { ext: 'html', contentType: 'text/html', wrapInPage: true };
+
+/**
+ * Registered storage strategies by version name, in detection order. Each
+ * entry is `{ strategy, detect, format }` where `format` says how the version
+ * is persisted in DA: resource extension, upload content type and whether the
+ * serialized content is wrapped in a page shell.
+ */
+const registry = new Map();
+
+/**
+ * Register a storage strategy, or replace the one registered under `name`.
+ * Strategies registered later are tried first by `detectStorageVersion`, so
+ * a project format can claim documents before the built-in sniffers do.
+ * Strategies storing several forms per document return them from
+ * `parseDocument` as `forms: [{ name, schemaId, data }]` (see `serializeDocument`).
+ * @param {string} name - storage version, e.g. 'yaml' (usable as `?storage=`)
+ * @param {{
+ *   parseDocument:(text:string, opts?:object) => object|Promise<object>,
+ *   serializeDocument:(doc:{ formMeta:object, formData:object }, opts?:object) => string,
+ *   detect?:(text:string) => boolean,
+ *   format?:{ ext?:string, contentType?:string, wrapInPage?:boolean },
+ * }} strategy - `format` defaults to an html page
+ */
+export function registerStorageStrategy(name, strategy) {
+  if (!name || typeof name !== 'string') throw new TypeError('Storage strategy name must be a non-empty string');
+  if (typeof strategy?.parseDocument !== 'function' || typeof strategy?.serializeDocument !== 'function') {
+    throw new TypeError(`Storage strategy "${name}" must implement parseDocument and serializeDocument`);
   }
+  const entry = {
+    strategy,
+    detect: typeof strategy.detect === 'function' ? (text) => strategy.detect(text) : null,
+    format: { ...HTML_PAGE, ...(strategy.format || {}) },
+  };
+  const rest = Array.from(registry.entries()).filter(([key]) => key !== name);
+  registry.clear();
+  [[name, entry], ...rest].forEach(([key, value]) => registry.set(key, value));
+}
+
+// Registered in reverse so detection runs json, html, code, semantic
+registerStorageStrategy(STORAGE_VERSIONS.SEMANTIC, new SemanticStorage());
+registerStorageStrategy(STORAGE_VERSIONS.CODE, new CodeBlockStorage());
+registerStorageStrategy(STORAGE_VERSIONS.HTML, new HtmlTableStorage());
+registerStorageStrategy(STORAGE_VERSIONS.JSON, new JsonStorage());
+
+/** Names of all registered storage versions, built-in and project ones. */
+export function getStorageVersions() {
+  return Array.from(registry.keys());
+}
+
+export function getStorageFormat(storageVersion) {
+  return (registry.get(storageVersion) || registry.get(STORAGE_VERSIONS.HTML)).format;
+}
+
+/**
+ * Sniff the storage version a document was written with by asking each
+ * registered strategy's `detect`. Null for anything no strategy claims, e.g.
+ * a plain page or an empty document.
+ * @param {string} source - raw document text
+ * @returns {string|null}
+ */
+export function detectStorageVersion(source) {
+  const text = String(source || '').trim();
+  if (!text) return null;
+  const match = Array.from(registry.entries()).find(([, { detect }]) => {
+    try {
+      return detect?.(text);
+    } catch {
+      return false;
+    }
+  });
+  return match ? match[0] : null;
+}
+
+function getStorageStrategy(storageVersion) {
+  return (registry.get(storageVersion) || registry.get(STORAGE_VERSIONS.HTML)).strategy;
 }
 
 export function parseDocument(htmlString, { storageVersion, ...opts } = {}) {
   return getStorageStrategy(storageVersion).parseDocument(htmlString, opts);
 }
 
-export function serializeDocument({ formMeta, formData }, { storageVersion } = {}) {
-  return getStorageStrategy(storageVersion).serializeDocument({ formMeta, formData });
+/**
+ * Serialize a document. Strategies only receive `forms` for a document with
+ * several (or named) forms; `formMeta` / `formData` then describe the first
+ * one, for strategies storing a single form. A lone unnamed form is written
+ * in the single-form layout. Each form may carry its `schema` (not stored).
+ */
+export function serializeDocument({ formMeta, formData, forms }, { storageVersion, ...opts } = {}) {
+  const strategy = getStorageStrategy(storageVersion);
+  if (!Array.isArray(forms) || !forms.length) {
+    return strategy.serializeDocument({ formMeta, formData }, opts);
+  }
+  const [first] = forms;
+  const meta = { ...formMeta, schemaId: first.schemaId || formMeta?.schemaId };
+  const multi = forms.length > 1 || !!first.name;
+  return strategy.serializeDocument({ formMeta: meta, formData: first.data, ...(multi ? { forms } : {}) }, opts);
 }
 
 
@@ -0,0 +1,58 @@
+/**
+ * JsonStorage
+ * Strategy to store form meta/data as a plain `.json` resource ({ schemaId, title, data })
+ */
+
+export default class JsonStorage {
+  // Persisted as a standalone `.json` resource, not wrapped in a page
+  get format() {
+    return { ext: 'json', contentType: 'application/json', wrapInPage: false };
+  }
+
+  // Whether text is a JSON document with a `data` (or multi-form `forms`) payload
+  detect(text) {
+    if (!text.startsWith('{')) return false;
+    try {
+      const parsed = JSON.parse(text);
+      return !!parsed && typeof parsed === 'object' && ('data' in parsed || Array.isArray(parsed.forms));
+    } catch {
+      return false;
+    }
+  }
+
+  // Parse JSON text into { metadata, data }
+  parseDocument(jsonString) {
+    try {
+      const parsed = typeof jsonString === 'string' ? JSON.parse(jsonString) : jsonString;
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        const metadata = { title: parsed.title || 'Untitled Page' };
+        if (Array.isArray(parsed.forms) && parsed.forms.length > 0) {
+          const forms = parsed.forms.map((form) => ({
+            name: form.name || '', schemaId: form.schemaId, data: form.data && typeof form.data === 'object' ? form.data : {},
+          }));
+          metadata.schemaId = forms[0].schemaId;
+          return { metadata, data: forms[0].data, forms };
+        }
+        if (parsed.schemaId) metadata.schemaId = parsed.schemaId;
+        const data = parsed.data && typeof parsed.data === 'object' ? parsed.data : {};
+        return { metadata, data };
+      }
+    } catch {
+      // ignore and return empty if invalid
+    }
+    return { metadata: {}, data: {} };
+  }
+
+  // Serialize { formMeta, formData } (or several `forms`) into a JSON document
+  serializeDocument({ formMeta, formData, forms }) {
+    const payload = forms ? {
+      title: formMeta?.title || 'Untitled Page',
+      forms: forms.map(({ name, schemaId, data }) => ({ name: name || '', schemaId: schemaId || 'inline', data: data || {} })),
+    } : {
+      schemaId: formMeta?.schemaId || 'inline',
+      title: formMeta?.title || 'Untitled Page',
+      data: formData || {},
+    };
+    return `${JSON.stringify(payload, null, 2)}\n`;
+  }
+}
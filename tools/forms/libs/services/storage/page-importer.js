@@ -0,0 +1,105 @@
+/**
+ * Page importer
+ * Extracts best-effort form data from an existing DA page (plain document,
+ * no form data) with the schema's `x-aem-selector` / `x-aem-attribute`
+ * annotations, the same mapping SemanticStorage writes and reads.
+ */
+
+import { fromHtml } from 'https://esm.sh/hast-util-from-html@2';
+import { select } from 'https://esm.sh/hast-util-select@6';
+import { toString } from 'https://esm.sh/hast-util-to-string@3';
+import { readContent } from './semantic-storage.js';
+
+const EXCERPT_LENGTH = 80;
+
+function childElements(node) {
+  return (node?.children || []).filter((c) => c.type === 'element');
+}
+
+function someElement(node, predicate) {
+  return childElements(node).some((c) => predicate(c) || someElement(c, predicate));
+}
+
+/** `tag.class` label of an element, e.g. `div.hero` or `p`. */
+function describeElement(el) {
+  const classes = el.properties?.className || [];
+  return [el.tagName, ...classes].join('.');
+}
+
+function excerpt(el) {
+  const text = toString(el).replace(/\s+/g, ' ').trim();
+  if (text) return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+  const img = el.tagName === 'img' ? el : null;
+  const src = img?.properties?.src;
+  if (src) return String(src);
+  return someElement(el, (c) => c.tagName === 'img') ? '(image)' : '';
+}
+
+function isMetadataBlock(el) {
+  return el.tagName === 'div' && (el.properties?.className || []).includes('metadata');
+}
+
+/** Sections of a page: `main > div`, or the body content when there is no main. */
+function getSections(tree) {
+  const main = select('main', tree);
+  if (main) return { main, sections: childElements(main) };
+  const body = select('body', tree) || tree;
+  return { main: body, sections: [body] };
+}
+
+/** Deep-merge extracted values over base data (arrays and primitives replace). */
+function mergeData(base, extracted) {
+  if (!base || typeof base !== 'object' || Array.isArray(base)) return extracted;
+  if (!extracted || typeof extracted !== 'object' || Array.isArray(extracted)) return extracted;
+  const out = { ...base };
+  Object.entries(extracted).forEach(([key, value]) => {
+    out[key] = mergeData(base[key], value);
+  });
+  return out;
+}
+
+/**
+ * Whether a page has content worth importing (text or images in `main`).
+ * @param {string} htmlString
+ * @returns {boolean}
+ */
+export function hasPageContent(htmlString) {
+  if (!htmlString) return false;
+  const { sections } = getSections(fromHtml(htmlString));
+  return sections.some((section) => childElements(section)
+    .some((el) => !isMetadataBlock(el) && !!excerpt(el)));
+}
+
+/**
+ * Extract form data from a page.
+ * @param {string} htmlString - DA page source
+ * @param {object} schema - form schema annotated with `x-aem-selector` / `x-aem-attribute`
+ * @param {{ services?: object, base?: object }} [options] - `base` is the schema's
+ *   initial data the extracted values are merged over
+ * @returns {{ data:object, report:{
+ *   unmatched:Array<{path:string, selector?:string, attribute?:string}>,
+ *   leftover:Array<{element:string, text:string}> } }}
+ */
+export function importPage(htmlString, schema, { services, base } = {}) {
+  const { main, sections } = getSections(fromHtml(htmlString));
+  const report = { unmatched: [], used: new Set() };
+  const extracted = readContent(schema, main, services, report);
+
+  // Top-level content (paragraphs, headings, blocks) nothing was read from
+  const leftover = [];
+  sections.forEach((section) => {
+    childElements(section).forEach((el) => {
+      if (isMetadataBlock(el) || report.used.has(el)) return;
+      if (someElement(el, (c) => report.used.has(c))) return;
+      const text = excerpt(el);
+      if (text) leftover.push({ element: describeElement(el), text });
+    });
+  });
+
+  return {
+    data: mergeData(base || {}, extracted),
+    report: { unmatched: report.unmatched, leftover },
+  };
+}
+
+export default importPage;
@@ -0,0 +1,45 @@
+/**
+ * Rich text
+ * Fields holding an HTML fragment (`x-semantic-type: rich-text` or
+ * `contentMediaType: text/html`) are stored as sanitized child nodes instead
+ * of escaped text, so inline formatting (bold, links, lists) stays editable
+ * in DA and survives a round-trip.
+ */
+
+import { fromHtml } from 'https://esm.sh/hast-util-from-html@2';
+import { toHtml } from 'https://esm.sh/hast-util-to-html@9';
+import { sanitize, defaultSchema } from 'https://esm.sh/hast-util-sanitize@5';
+
+// GitHub's allowlist, without prefixing `id` / `name` values
+const SANITIZE_SCHEMA = { ...defaultSchema, clobberPrefix: '' };
+
+/**
+ * Whether a (normalized) schema node describes a rich text string.
+ * @param {object} [schema]
+ * @returns {boolean}
+ */
+export function isRichText(schema) {
+  if (!schema || typeof schema !== 'object') return false;
+  return schema['x-semantic-type'] === 'rich-text' || schema.contentMediaType === 'text/html';
+}
+
+/**
+ * Sanitized HAST nodes of an HTML fragment, to append to a cell or element.
+ * @param {string} html
+ * @returns {Array<object>}
+ */
+export function richTextToNodes(html) {
+  const tree = sanitize(fromHtml(String(html ?? ''), { fragment: true }), SANITIZE_SCHEMA);
+  return tree.children || [];
+}
+
+/**
+ * HTML string of the child nodes of a cell or element.
+ * @param {object} node - HAST element
+ * @returns {string}
+ */
+export function nodesToRichText(node) {
+  return toHtml({ type: 'root', children: node?.children || [] });
+}
+
+export default { isRichText, richTextToNodes, nodesToRichText };
@@ -0,0 +1,385 @@
+/**
+ * SemanticStorage
+ * Strategy to store form data as semantic page markup (headings, paragraphs,
+ * pictures, links, lists) placed by the schema's `x-aem-selector` and
+ * `x-aem-attribute` annotations, so the page reads as normal AEM content.
+ *
+ * Mapping, applied the same way when serializing and parsing:
+ * - `x-aem-selector` on an object selects the element its properties live in
+ *   (relative to the parent's element); without it the object shares the
+ *   parent's element
+ * - `x-aem-selector` on an array selects one element per item
+ * - a primitive takes the text of the element its `x-aem-selector` selects, or
+ *   the `x-aem-attribute` of it (of the parent's element without a selector);
+ *   an unannotated primitive takes the text of an element selected for its
+ *   object or array item (e.g. `h1` → `mainTitle`); a rich text string takes
+ *   the element's markup instead of its text
+ *
+ * Values the schema does not map (unannotated fields, unions, nulls, values of
+ * the wrong type) are kept as JSON in the `form-data` row of the trailing
+ * `metadata` block, next to `title` and `schemaId`, so nothing is lost.
+ * Sibling properties sharing a selector are matched in schema order, so an
+ * absent one would take the next one's element: keep them all present.
+ */
+
+import { h } from 'https://esm.sh/hastscript@9';
+import { fromHtml } from 'https://esm.sh/hast-util-from-html@2';
+import { toHtml } from 'https://esm.sh/hast-util-to-html@9';
+import { select, selectAll } from 'https://esm.sh/hast-util-select@6';
+import { toString } from 'https://esm.sh/hast-util-to-string@3';
+import { isRichText, richTextToNodes, nodesToRichText } from './rich-text.js';
+
+const SELECTOR = 'x-aem-selector';
+const ATTRIBUTE = 'x-aem-attribute';
+const METADATA_BLOCK = 'metadata';
+const LEFTOVER_KEY = 'form-data';
+const PRIMITIVE_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** hast property name of an HTML attribute (`data-id` → `dataId`, `class` → `className`). */
+function propertyName(attribute) {
+  if (attribute === 'class') return 'className';
+  if (attribute === 'for') return 'htmlFor';
+  return attribute.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function readAttribute(el, attribute) {
+  const value = el.properties?.[propertyName(attribute)];
+  if (value === undefined || value === null) return undefined;
+  return Array.isArray(value) ? value.join(' ') : String(value);
+}
+
+/**
+ * Split the first alternative of a selector into compounds an element chain
+ * can be built from: `div > div:first-child h1` → div, div (positional), h1.
+ */
+function parseSelectorChain(selector) {
+  const first = String(selector).split(',')[0].trim();
+  return first.split(/\s*[>+~]\s*|\s+/).filter(Boolean).map((compound) => ({
+    scope: compound === ':scope',
+    tagName: (compound.match(/^[a-z][a-z0-9-]*/i) || ['div'])[0].toLowerCase(),
+    classes: (compound.match(/\.[\w-]+/g) || []).map((c) => c.slice(1)),
+    positional: /:/.test(compound),
+  }));
+}
+
+function isElementLike(el, { tagName, classes }) {
+  if (el?.type !== 'element' || el.tagName !== tagName) return false;
+  const own = el.properties?.className || [];
+  return classes.every((c) => own.includes(c));
+}
+
+/** Elements below `node`, excluding `node`. */
+function descendants(node, out = new Set()) {
+  (node.children || []).forEach((child) => {
+    if (child.type !== 'element') return;
+    out.add(child);
+    descendants(child, out);
+  });
+  return out;
+}
+
+/** Dereference and normalize schema nodes through SchemaService when available. */
+function createSchemaView(rootSchema, services) {
+  const schemaSvc = services?.schema;
+  const norm = (node) => (schemaSvc && node
+    ? schemaSvc.normalizeSchema(rootSchema, node) || node
+    : node);
+  return {
+    norm,
+    isUnion: (node) => !!schemaSvc?.getVariants?.(rootSchema, node),
+    isObject: (s) => !!s && (s.type === 'object' || (!s.type && !!s.properties)),
+    typeMatches: (s, value) => {
+      if (s.type === 'string') return typeof value === 'string' && value.trim() === value;
+      if (s.type === 'boolean') return typeof value === 'boolean';
+      if (s.type === 'integer') return Number.isInteger(value);
+      return typeof value === 'number' && Number.isFinite(value);
+    },
+  };
+}
+
+/**
+ * Serialize `data` into semantic elements appended to `section`.
+ * @returns {any} the part of `data` the schema does not map, or undefined
+ */
+function buildContent(rootSchema, data, section, services) {
+  const view = createSchemaView(rootSchema, services);
+  const owned = new WeakSet();
+  const textUsed = new WeakSet();
+  // Elements an object/array item was built in; never reused by later chains
+  const finals = new WeakSet();
+
+  const createChain = (scope, selector, reuse) => {
+    const chain = parseSelectorChain(selector);
+    let current = scope;
+    chain.forEach((part, index) => {
+      if (part.scope) {
+        current = scope;
+        return;
+      }
+      const last = index === chain.length - 1;
+      const candidates = (current.children || []).filter((c) => isElementLike(c, part));
+      const existing = last
+        ? candidates.find((c) => reuse?.(c))
+        : !part.positional && candidates.reverse().find((c) => !finals.has(c));
+      if (existing) {
+        current = existing;
+        return;
+      }
+      const el = h(part.tagName, part.classes.length ? { class: part.classes.join(' ') } : {});
+      current.children.push(el);
+      current = el;
+    });
+    return current;
+  };
+
+  const buildValue = (node, value, scope) => {
+    const s = view.norm(node);
+    if (value === undefined) return undefined;
+    if (!s || typeof s !== 'object' || view.isUnion(s)) return value;
+    const selector = s[SELECTOR];
+    const attribute = s[ATTRIBUTE];
+
+    if (s.type === 'array') {
+      if (!selector || !Array.isArray(value)) return value;
+      const rest = {};
+      value.forEach((item, index) => {
+        const el = createChain(scope, selector);
+        finals.add(el);
+        owned.add(el);
+        const itemRest = buildValue(s.items, item, el);
+        if (itemRest !== undefined) rest[index] = itemRest;
+      });
+      return Object.keys(rest).length ? rest : undefined;
+    }
+
+    if (view.isObject(s)) {
+      if (!isPlainObject(value)) return value;
+      if (!selector && Object.keys(value).length === 0) return value;
+      let el = scope;
+      if (selector) {
+        el = createChain(scope, selector);
+        finals.add(el);
+        owned.add(el);
+      }
+      // Schema order, as parsing claims elements in that order
+      const props = s.properties || {};
+      const keys = [
+        ...Object.keys(props).filter((k) => k in value),
+        ...Object.keys(value).filter((k) => !props[k]),
+      ];
+      const rest = {};
+      keys.forEach((key) => {
+        const propRest = props[key] ? buildValue(props[key], value[key], el) : value[key];
+        if (propRest !== undefined) rest[key] = propRest;
+      });
+      return Object.keys(rest).length ? rest : undefined;
+    }
+
+    if (!PRIMITIVE_TYPES.includes(s.type) || !view.typeMatches(s, value)) return value;
+    if (!selector && !attribute && !(owned.has(scope) && !textUsed.has(scope))) return value;
+    let el = scope;
+    if (selector && attribute) {
+      // Attributes of one element (img src + alt) share it
+      const shareable = (c) => !finals.has(c) && readAttribute(c, attribute) === undefined;
+      el = createChain(scope, selector, shareable);
+    } else if (selector) {
+      el = createChain(scope, selector);
+      finals.add(el);
+    }
+    if (attribute) {
+      el.properties[propertyName(attribute)] = String(value);
+    } else {
+      // Rich text is written as its (sanitized) markup, anything else as text
+      el.children.push(...(isRichText(s) ? richTextToNodes(value) : [{ type: 'text', value: String(value) }]));
+      textUsed.add(el);
+    }
+    return undefined;
+  };
+
+  return buildValue(rootSchema, data, section);
+}
+
+/**
+ * Read data from semantic elements below `section`. When a `report` is
+ * given, selectors matching nothing are listed in `report.unmatched` and the
+ * elements values were read from are added to `report.used`.
+ * @param {object} rootSchema
+ * @param {object} section - HAST element (or root) holding the content
+ * @param {object} [services] - needs `schema` (SchemaService) for `$ref`s
+ * @param {{ unmatched:Array<{path:string, selector?:string, attribute?:string}>, used:Set<object> }} [report]
+ * @returns {object}
+ */
+export function readContent(rootSchema, section, services, report) {
+  const view = createSchemaView(rootSchema, services);
+  const owned = new WeakSet();
+  // element → claimed channels: 'element' (object/array item), 'text', 'attr:<name>'
+  const claims = new WeakMap();
+  const isClaimed = (el, channel) => !!claims.get(el)?.has(channel);
+  const claim = (el, channel) => {
+    if (!claims.has(el)) claims.set(el, new Set());
+    claims.get(el).add(channel);
+    report?.used.add(el);
+  };
+  const miss = (path, selector, attribute) => {
+    report?.unmatched.push({ path: path || '(root)', selector, attribute });
+    return undefined;
+  };
+  const matches = (scope, selector) => {
+    try {
+      return selectAll(selector, scope).filter((el) => el !== scope);
+    } catch {
+      return [];
+    }
+  };
+
+  const readText = (el, s) => {
+    if (isRichText(s)) return nodesToRichText(el).trim();
+    const text = toString(el).trim();
+    if (s.type === 'boolean') return text === 'true';
+    if (s.type === 'number' || s.type === 'integer') {
+      const n = Number(text);
+      return text === '' || Number.isNaN(n) ? undefined : n;
+    }
+    return text;
+  };
+
+  const readValue = (node, scope, path = '') => {
+    const s = view.norm(node);
+    if (!s || typeof s !== 'object' || view.isUnion(s)) return undefined;
+    const selector = s[SELECTOR];
+    const attribute = s[ATTRIBUTE];
+
+    if (s.type === 'array') {
+      if (!selector) return undefined;
+      const found = matches(scope, selector).filter((el) => !isClaimed(el, 'element'));
+      if (!found.length) return miss(path, selector);
+      const inner = new Set();
+      found.forEach((el) => descendants(el, inner));
+      return found.filter((el) => !inner.has(el)).map((el, index) => {
+        claim(el, 'element');
+        owned.add(el);
+        return readValue(s.items, el, `${path}[${index}]`);
+      });
+    }
+
+    if (view.isObject(s)) {
+      let el = scope;
+      if (selector) {
+        el = matches(scope, selector).find((c) => !isClaimed(c, 'element'));
+        if (!el) return miss(path, selector);
+        claim(el, 'element');
+        owned.add(el);
+      }
+      const out = {};
+      Object.entries(s.properties || {}).forEach(([key, prop]) => {
+        const v = readValue(prop, el, path ? `${path}.${key}` : key);
+        if (v !== undefined) out[key] = v;
+      });
+      return selector || Object.keys(out).length ? out : undefined;
+    }
+
+    if (!PRIMITIVE_TYPES.includes(s.type)) return undefined;
+    if (!selector && !attribute) {
+      if (!owned.has(scope) || isClaimed(scope, 'text')) return undefined;
+      claim(scope, 'text');
+      return readText(scope, s);
+    }
+    const channel = attribute ? `attr:${attribute}` : 'text';
+    const el = selector
+      ? matches(scope, selector).find((c) => !isClaimed(c, channel) && !isClaimed(c, 'element')
+        && (!attribute || readAttribute(c, attribute) !== undefined))
+      : scope;
+    if (!el) return miss(path, selector, attribute);
+    const raw = attribute ? readAttribute(el, attribute) : undefined;
+    if (attribute && raw === undefined) return miss(path, selector, attribute);
+    claim(el, channel);
+    if (!attribute) return readText(el, s);
+    if (s.type === 'boolean') return raw === 'true';
+    if (s.type === 'number' || s.type === 'integer') return Number(raw);
+    return raw;
+  };
+
+  return readValue(rootSchema, section) || {};
+}
+
+/** Put values kept aside (see `buildContent`) back into parsed data. */
+function mergeLeftover(target, rest) {
+  if (!isPlainObject(rest) || (!isPlainObject(target) && !Array.isArray(target))) return rest;
+  const out = Array.isArray(target) ? [...target] : { ...target };
+  Object.entries(rest).forEach(([key, value]) => {
+    out[key] = out[key] === undefined ? value : mergeLeftover(out[key], value);
+  });
+  return out;
+}
+
+function metadataRow(key, value) {
+  return h('div', {}, [h('div', {}, key), h('div', {}, value)]);
+}
+
+export default class SemanticStorage {
+  // Whether html ends in a `metadata` block carrying a schemaId row
+  detect(htmlString) {
+    return /<div class="metadata"/i.test(htmlString)
+      && /<div>\s*(<p>)?\s*schemaId\s*(<\/p>)?\s*<\/div>/i.test(htmlString);
+  }
+
+  // Parse html into { metadata, data }
+  async parseDocument(htmlString, { schema, schemaId, services } = {}) {
+    const tree = fromHtml(htmlString);
+    const section = select('main > div', tree) || select('main', tree) || tree;
+    const metadata = {};
+    let rest;
+    const metaBlock = (section.children || []).find((c) => isElementLike(c, { tagName: 'div', classes: [METADATA_BLOCK] }));
+    if (metaBlock) {
+      section.children = section.children.filter((c) => c !== metaBlock);
+      metaBlock.children.filter((row) => row.type === 'element').forEach((row) => {
+        const cells = row.children.filter((c) => c.type === 'element');
+        if (cells.length < 2) return;
+        const key = toString(cells[0]).trim();
+        const value = toString(cells[1]).trim();
+        if (key === LEFTOVER_KEY) {
+          try {
+            rest = JSON.parse(value);
+          } catch (e) {
+            // eslint-disable-next-line no-console
+            console.warn('[semantic-storage] Unreadable leftover data, it is dropped:', e?.message || e);
+          }
+        } else {
+          metadata[key] = value;
+        }
+      });
+    }
+
+    let effectiveSchema = schema;
+    const schemaName = schemaId || metadata.schemaId;
+    try {
+      if (!effectiveSchema && schemaName) {
+        effectiveSchema = await services.schemaLoader.loadSchema(schemaName);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('[semantic-storage] Failed to load schema:', e?.message || e);
+    }
+
+    const data = effectiveSchema ? readContent(effectiveSchema, section, services) : {};
+    return { metadata, data: rest === undefined ? data : mergeLeftover(data, rest) };
+  }
+
+  // Serialize { formMeta, formData } into semantic markup followed by a metadata block
+  serializeDocument({ formMeta, formData, forms }, { schema, services } = {}) {
+    if (forms) throw new Error('Semantic storage holds a single form per page');
+    const section = h('div');
+    const rest = schema ? buildContent(schema, formData || {}, section, services) : formData;
+    const rows = [
+      metadataRow('title', formMeta?.title || 'Untitled Page'),
+      metadataRow('schemaId', formMeta?.schemaId || 'inline'),
+    ];
+    if (rest !== undefined) rows.push(metadataRow(LEFTOVER_KEY, JSON.stringify(rest)));
+    section.children.push(h('div', { class: METADATA_BLOCK }, rows));
+    return toHtml({ type: 'root', children: section.children });
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Validation messages
+ *
+ * Built-in English catalog used by ValidationService. Keys are JSON Schema
+ * keywords, with `format.<name>` / `type.<name>` for per-format and per-type
+ * messages. `{limit}`, `{format}`, `{type}`, `{property}` and `{allowed}` are replaced
+ * with the failing keyword's parameters; an object with plural categories
+ * (`one`, `other`, ...) is picked via `Intl.PluralRules` on `{limit}`.
+ */
+export const DEFAULT_LOCALE = 'en';
+
+export const DEFAULT_MESSAGES = {
+  required: 'This field is required.',
+  requiredList: 'Required list is empty.',
+  type: 'Must be of type {type}.',
+  'type.number': 'Please enter a valid number.',
+  'type.integer': 'Please enter a whole number.',
+  'type.string': 'Must be text.',
+  'type.boolean': 'Must be true or false.',
+  'type.object': 'Must be an object.',
+  'type.array': 'Must be a list.',
+  minimum: 'Must be at least {limit}.',
+  maximum: 'Must be at most {limit}.',
+  exclusiveMinimum: 'Must be greater than {limit}.',
+  exclusiveMaximum: 'Must be less than {limit}.',
+  multipleOf: 'Must be a multiple of {limit}.',
+  minLength: 'Must be at least {limit} characters.',
+  maxLength: 'Must be at most {limit} characters.',
+  pattern: 'Invalid format.',
+  format: 'Invalid format.',
+  'format.email': 'Please enter a valid email address.',
+  'format.uri': 'Please enter a valid URL.',
+  'format.url': 'Please enter a valid URL.',
+  'format.date': 'Please enter a valid date (YYYY-MM-DD).',
+  'format.date-time': 'Please enter a valid date and time.',
+  'format.time': 'Please enter a valid time.',
+  'format.uuid': 'Please enter a valid UUID.',
+  'format.ipv4': 'Please enter a valid IPv4 address.',
+  'format.hostname': 'Please enter a valid host name.',
+  minItems: { one: 'Must have at least {limit} item.', other: 'Must have at least {limit} items.' },
+  maxItems: { one: 'Must have at most {limit} item.', other: 'Must have at most {limit} items.' },
+  uniqueItems: 'Items must be unique.',
+  contains: { one: 'Must contain at least one matching item.', other: 'Must contain at least {limit} matching items.' },
+  maxContains: { one: 'Must contain at most {limit} matching item.', other: 'Must contain at most {limit} matching items.' },
+  minProperties: { one: 'Must have at least {limit} property.', other: 'Must have at least {limit} properties.' },
+  maxProperties: { one: 'Must have at most {limit} property.', other: 'Must have at most {limit} properties.' },
+  additionalProperties: 'Unexpected property "{property}".',
+  const: 'Must be {allowed}.',
+  enum: 'Invalid value.',
+  not: 'Value is not allowed.',
+  false: 'Value is not allowed.',
+  rule: 'This combination of values is not valid.',
+  async: 'This value is not valid.',
+  'async.unique-in-folder': 'Another page in this folder already uses this name.',
+  'async.page-exists': 'The referenced page does not exist.',
+};
+
+export default DEFAULT_MESSAGES;
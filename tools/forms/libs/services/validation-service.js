@@ -2,59 +2,689 @@
  * ValidationService
  *
  * Pure JSON Schema validation helpers with no DOM access.
+ *
+ * `getValidationError` checks one value against one (normalized) schema node;
+ * `validate` walks the whole data tree, resolving $ref/allOf, object unions and
+ * conditionals through SchemaService, and returns errors keyed by JSON Pointer.
+ * Objects may declare cross-field `x-rules` (see `rule-expression.js`); fields
+ * may declare `x-async-validate` checks run by `validateAsync` (e.g. a slug
+ * that must be unique in the document's folder).
+ *
+ * Issues have a severity: errors block publishing, warnings are advisory.
+ * Warnings come from `x-warnings` (keywords checked like the schema's own, e.g.
+ * `{ "maxLength": 60 }`) and from `x-rules` entries with `severity: 'warning'`;
+ * `collectIssues` reports both.
+ *
+ * Messages come from, in order: the schema's `errorMessage` / `x-error-messages`
+ * (a string, or a map by keyword with `_` as fallback), then the message
+ * catalogs for the current locale (`x-messages` on the root schema, then
+ * catalogs added with `registerMessages`, then the built-in English defaults).
+ * Each locale falls back to its base language, then to English.
+ */
+import { DEFAULT_LOCALE, DEFAULT_MESSAGES } from './validation-messages.js';
+import { compileRule } from './rule-expression.js';
+
+const FORMAT_PATTERNS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  // Seconds and offset are optional so `datetime-local` values validate
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:\d{2})?$/,
+  time: /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:\d{2})?$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  ipv4: /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/,
+  hostname: /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*\.?$/i,
+};
+
+/** Whether `YYYY-MM-DD` names a real day (Date.parse rolls 2024-02-31 over to March). */
+function isCalendarDate(str) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Path segments a rule may never read through
+const UNSAFE_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/** Default wait (ms) after the last edit before an async validator runs. */
+const ASYNC_DEBOUNCE_MS = 400;
+
+/** Resolve a value to a DA page path (relative to org/repo, no extension). */
+function toPagePath(value) {
+  let path = String(value ?? '').trim();
+  if (/^https?:\/\//i.test(path)) {
+    try { path = new URL(path).pathname; } catch { return ''; }
+  }
+  path = path.split(/[?#]/)[0].replace(/\.html$/, '');
+  if (!path.startsWith('/')) path = `/${path}`;
+  return path.endsWith('/') ? `${path}index` : path;
+}
+
+/**
+ * Built-in `x-async-validate` validators. They read the current document path
+ * from `context.pagePath` and talk to DA through `context.services.backend`.
  */
+const BUILTIN_ASYNC_VALIDATORS = {
+  /** The value (a slug) is not the name of another entry in the document's folder (or `folder`). */
+  'unique-in-folder': async (value, { context, options, signal }) => {
+    const backend = context?.services?.backend;
+    if (!backend?.listFolder) return true;
+    const pagePath = context?.pagePath || '';
+    const folder = options.folder ?? pagePath.split('/').slice(0, -1).join('/');
+    const slug = String(value).trim().toLowerCase();
+    const current = pagePath.split('/').pop()?.toLowerCase();
+    const entries = await backend.listFolder(folder, { signal });
+    return !entries.some((entry) => {
+      const name = String(entry?.name || '').toLowerCase();
+      return name === slug && name !== current;
+    });
+  },
+  /** The value (a page path or URL) points to an existing DA document. */
+  'page-exists': async (value, { context, signal }) => {
+    const backend = context?.services?.backend;
+    if (!backend?.sourceExists) return true;
+    const path = toPagePath(value);
+    if (!path) return false;
+    return backend.sourceExists(path, { signal });
+  },
+};
+
 export class ValidationService {
-  /** 
-   * Return a validation error string or null for a single field value.
+  /** @param {object} context */
+  constructor(context = {}) {
+    this._context = context;
+    this._locale = context?.locale || DEFAULT_LOCALE;
+    // locale → { key: message }
+    this._catalogs = new Map([[DEFAULT_LOCALE, { ...DEFAULT_MESSAGES }]]);
+    // x-rules expressions already reported as invalid
+    this._invalidRules = new Set();
+    this._hasRulesCache = new WeakMap();
+    // name → async validator (see `registerAsyncValidator`)
+    this._asyncValidators = new Map(Object.entries(BUILTIN_ASYNC_VALIDATORS));
+    // unknown/failing async validator names already reported
+    this._asyncWarnings = new Set();
+    // { locale, rules } plural rules of the current locale
+    this._plurals = null;
+  }
+
+  /** SchemaService used to resolve $ref/allOf, variants, conditionals and sub-schema matches. */
+  get _schema() {
+    return this._context?.services?.schema || null;
+  }
+
+  /** Set the locale used for messages (e.g. 'de-CH'). */
+  setLocale(locale) {
+    this._locale = locale || DEFAULT_LOCALE;
+  }
+
+  /** Current message locale. */
+  getLocale() {
+    return this._locale;
+  }
+
+  /** Plural rules of the current locale; an invalid locale tag falls back to the default one. */
+  _pluralRules() {
+    if (this._plurals?.locale !== this._locale) {
+      let rules;
+      try {
+        rules = new Intl.PluralRules(this._locale);
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.warn('[validation-service] invalid locale', this._locale, e?.message || e);
+        rules = new Intl.PluralRules(DEFAULT_LOCALE);
+      }
+      this._plurals = { locale: this._locale, rules };
+    }
+    return this._plurals.rules;
+  }
+
+  /**
+   * Add messages to the catalog of `locale`. Keys are keywords (`pattern`,
+   * `format.email`, ...) or any key referenced from a schema's errorMessage.
+   * @param {string} locale
+   * @param {Object<string, string|object>} messages
+   */
+  registerMessages(locale, messages = {}) {
+    const key = locale || DEFAULT_LOCALE;
+    this._catalogs.set(key, { ...(this._catalogs.get(key) || {}), ...messages });
+  }
+
+  /** Locale chain with fallbacks, e.g. 'de-CH' → ['de-CH', 'de', 'en']. */
+  _localeChain() {
+    const chain = [];
+    const parts = String(this._locale || '').split(/[-_]/).filter(Boolean);
+    for (let i = parts.length; i > 0; i -= 1) chain.push(parts.slice(0, i).join('-'));
+    if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+    return chain;
+  }
+
+  /** Look up a catalog key along the locale chain, schema catalog (`x-messages`) first. */
+  _lookup(key, rootSchema) {
+    const schemaCatalogs = rootSchema?.['x-messages'] || {};
+    for (const locale of this._localeChain()) {
+      const fromSchema = schemaCatalogs[locale]?.[key];
+      if (fromSchema !== undefined) return fromSchema;
+      const fromRegistry = this._catalogs.get(locale)?.[key];
+      if (fromRegistry !== undefined) return fromRegistry;
+    }
+    return undefined;
+  }
+
+  /**
+   * Turn a message value into text: pick a locale from `{ en, de }` maps, a
+   * plural form from `{ one, other }` maps, translate catalog keys and fill
+   * `{param}` placeholders.
+   */
+  _format(message, params, rootSchema) {
+    let msg = message;
+    if (msg && typeof msg === 'object' && !('other' in msg)) {
+      const locale = this._localeChain().find((l) => msg[l] !== undefined);
+      msg = locale ? msg[locale] : Object.values(msg)[0];
+    }
+    if (typeof msg === 'string' && !msg.includes(' ')) {
+      const translated = this._lookup(msg, rootSchema);
+      if (translated !== undefined && translated !== msg) return this._format(translated, params, rootSchema);
+    }
+    if (msg && typeof msg === 'object') {
+      const category = this._pluralRules().select(Number(params.limit));
+      msg = msg[category] ?? msg.other ?? PLURAL_CATEGORIES.map((c) => msg[c]).find(Boolean);
+    }
+    return String(msg ?? '').replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? String(params[name]) : m));
+  }
+
+  /**
+   * Resolve the message for a failing keyword: explicit `message` (e.g. a
+   * parent's `errorMessage.required[prop]`), the schema's errorMessage /
+   * x-error-messages, then the catalogs (`key` such as `format.email`, then
+   * the keyword).
+   */
+  _message(schema, { keyword, key = keyword, params = {} }, { rootSchema, message } = {}) {
+    const custom = message
+      ?? this._pickCustom(schema?.errorMessage, keyword)
+      ?? this._pickCustom(schema?.['x-error-messages'], keyword)
+      ?? this._lookup(key, rootSchema)
+      ?? this._lookup(keyword, rootSchema);
+    return this._format(custom, params, rootSchema);
+  }
+
+  /**
+   * Pick a schema-provided message for `keyword`: a string or locale map applies
+   * to every keyword; a keyword map (`{ pattern: '...', _: '...' }`) per keyword.
+   */
+  _pickCustom(custom, keyword) {
+    if (custom == null) return undefined;
+    if (typeof custom === 'string' || this._isMessageMap(custom)) return custom;
+    if (typeof custom !== 'object') return undefined;
+    const value = custom[keyword] ?? custom._;
+    // `required: { title: '...' }` is a per-property map for the parent (see `_validateNode`)
+    if (value && typeof value === 'object' && !this._isMessageMap(value)) return custom._;
+    return value;
+  }
+
+  /** Whether an object is a locale map (`{ en, de }`) or plural forms (`{ one, other }`). */
+  _isMessageMap(obj) {
+    if (!obj || typeof obj !== 'object') return false;
+    const keys = Object.keys(obj);
+    if (keys.includes('other')) return true;
+    const isLocale = (k) => /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(k) && !(k in DEFAULT_MESSAGES) && k !== '_';
+    return keys.length > 0 && keys.every(isLocale);
+  }
+
+  /** Empty form values: missing, null, '' and (for required checks) empty arrays. */
+  _isEmpty(v) {
+    return v === '' || v === null || v === undefined;
+  }
+
+  /**
+   * Whether a (non-empty) form value has a JSON Schema type. Numbers typed
+   * into inputs may arrive as strings, so numeric strings pass number/integer.
+   */
+  _isType(value, type) {
+    switch (type) {
+      case 'number':
+      case 'integer': {
+        if (typeof value !== 'number' && (typeof value !== 'string' || value.trim() === '')) return false;
+        const num = Number(value);
+        return Number.isFinite(num) && (type === 'number' || Number.isInteger(num));
+      }
+      case 'string': return typeof value === 'string';
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+      case 'null': return value === null;
+      default: return true;
+    }
+  }
+
+  /** Structural equality for const/enum/uniqueItems. */
+  _equals(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /** Check a string against a known `format`; unknown formats always pass. */
+  _checkFormat(format, str) {
+    if (format === 'uri' || format === 'url') {
+      try { new URL(str); } catch { return false; }
+      return true;
+    }
+    const re = FORMAT_PATTERNS[format];
+    if (!re) return true;
+    if (!re.test(str)) return false;
+    if (format === 'date') return isCalendarDate(str);
+    if (format === 'date-time') return !Number.isNaN(Date.parse(str)) && isCalendarDate(str.slice(0, 10));
+    return true;
+  }
+
+  /** Match `value` against a sub-schema (not/contains) via SchemaService; passes when unavailable. */
+  _matches(rootSchema, schema, value) {
+    const svc = this._schema;
+    return svc ? svc.matchesSchema(rootSchema || schema, schema, value) : true;
+  }
+
+  /**
+   * Return a validation error string or null for a single value. Covers the
+   * number, string, array and object keywords of draft-07 / 2020-12 that apply
+   * to the value itself; nested properties/items are checked by `validate`.
    *
    * @param {*} value
    * @param {object} schema
-   * @param {{ required?: boolean }} opts
+   * @param {{ required?: boolean, rootSchema?: object, requiredMessage?: any }} opts
    * @returns {string|null}
    */
-  getValidationError(value, schema = {}, { required = false } = {}) {
-    const isEmpty = (v) => v === '' || v === null || v === undefined;
-    if (required && isEmpty(value)) return 'This field is required.';
+  getValidationError(value, schema = {}, { required = false, rootSchema, requiredMessage } = {}) {
+    const failure = this._findFailure(value, schema, { required, rootSchema });
+    if (!failure) return null;
+    const message = failure.keyword === 'required' ? requiredMessage : undefined;
+    return this._message(schema, failure, { rootSchema, message });
+  }
+
+  /** First failing keyword for `value`, as `{ keyword, key?, params? }`, or null. */
+  _findFailure(value, schema, { required, rootSchema }) {
+    const isEmpty = (v) => this._isEmpty(v);
+    if (required && Array.isArray(value) && value.length === 0) return { keyword: 'required', key: 'requiredList' };
+    if (required && isEmpty(value)) return { keyword: 'required' };
     if (isEmpty(value)) return null;
+    if (!schema || typeof schema !== 'object') return null;
 
-    // Type validations
+    // Type validations: every declared type, then the number keywords
+    const types = schema.type === undefined ? [] : [].concat(schema.type);
+    if (types.length && !types.some((t) => this._isType(value, t))) {
+      const key = types.length === 1 ? `type.${types[0]}` : 'type';
+      return { keyword: 'type', key, params: { type: types.join(', ') } };
+    }
     if (schema.type === 'number' || schema.type === 'integer') {
       const num = Number(value);
-      if (Number.isNaN(num)) return 'Please enter a valid number.';
-      if (schema.type === 'integer' && !Number.isInteger(num)) return 'Please enter a whole number.';
-      if (typeof schema.minimum === 'number' && num < schema.minimum) return `Must be at least ${schema.minimum}.`;
-      if (typeof schema.maximum === 'number' && num > schema.maximum) return `Must be at most ${schema.maximum}.`;
+      if (Number.isNaN(num)) return { keyword: 'type', key: 'type.number' };
+      if (schema.type === 'integer' && !Number.isInteger(num)) return { keyword: 'type', key: 'type.integer' };
+      const bounds = [
+        ['minimum', (l) => num < l], ['maximum', (l) => num > l],
+        ['exclusiveMinimum', (l) => num <= l], ['exclusiveMaximum', (l) => num >= l],
+      ];
+      const failed = bounds.find(([kw, fails]) => typeof schema[kw] === 'number' && fails(schema[kw]));
+      if (failed) return { keyword: failed[0], params: { limit: schema[failed[0]] } };
+      if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+        const ratio = num / schema.multipleOf;
+        if (Math.abs(ratio - Math.round(ratio)) > 1e-9) return { keyword: 'multipleOf', params: { limit: schema.multipleOf } };
+      }
     }
 
     if (schema.type === 'string') {
-      if (typeof schema.minLength === 'number' && String(value).length < schema.minLength) {
-        return `Must be at least ${schema.minLength} characters.`;
+      const str = String(value);
+      if (typeof schema.minLength === 'number' && str.length < schema.minLength) {
+        return { keyword: 'minLength', params: { limit: schema.minLength } };
       }
-      if (typeof schema.maxLength === 'number' && String(value).length > schema.maxLength) {
-        return `Must be at most ${schema.maxLength} characters.`;
+      if (typeof schema.maxLength === 'number' && str.length > schema.maxLength) {
+        return { keyword: 'maxLength', params: { limit: schema.maxLength } };
       }
       if (schema.pattern) {
         try {
           const re = new RegExp(schema.pattern);
-          if (!re.test(String(value))) return 'Invalid format.';
+          if (!re.test(str)) return { keyword: 'pattern', params: { pattern: schema.pattern } };
         } catch {}
       }
-      if (schema.format === 'email') {
-        const emailRe = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRe.test(String(value))) return 'Please enter a valid email address.';
+      if (schema.format && !this._checkFormat(schema.format, str)) {
+        return { keyword: 'format', key: `format.${schema.format}`, params: { format: schema.format } };
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (typeof schema.minItems === 'number' && value.length < schema.minItems) return { keyword: 'minItems', params: { limit: schema.minItems } };
+      if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) return { keyword: 'maxItems', params: { limit: schema.maxItems } };
+      if (schema.uniqueItems && value.some((v, i) => value.findIndex((o) => this._equals(o, v)) !== i)) return { keyword: 'uniqueItems' };
+      if (schema.contains !== undefined) {
+        const count = value.filter((v) => this._matches(rootSchema, schema.contains, v)).length;
+        const min = typeof schema.minContains === 'number' ? schema.minContains : 1;
+        if (count < min) return { keyword: 'contains', params: { limit: min } };
+        if (typeof schema.maxContains === 'number' && count > schema.maxContains) return { keyword: 'maxContains', params: { limit: schema.maxContains } };
       }
-      if (schema.format === 'uri' || schema.format === 'url') {
-        try { new URL(String(value)); } catch { return 'Please enter a valid URL.'; }
+    } else if (typeof value === 'object') {
+      const present = Object.keys(value).filter((k) => !isEmpty(value[k]));
+      if (typeof schema.minProperties === 'number' && present.length < schema.minProperties) return { keyword: 'minProperties', params: { limit: schema.minProperties } };
+      if (typeof schema.maxProperties === 'number' && present.length > schema.maxProperties) return { keyword: 'maxProperties', params: { limit: schema.maxProperties } };
+      if (schema.additionalProperties === false) {
+        const patterns = Object.keys(schema.patternProperties || {});
+        const extra = Object.keys(value).find((k) => !(k in (schema.properties || {}))
+          && !patterns.some((p) => { try { return new RegExp(p).test(k); } catch { return false; } }));
+        if (extra) return { keyword: 'additionalProperties', params: { property: extra } };
       }
     }
 
+    if (Object.prototype.hasOwnProperty.call(schema, 'const') && !this._equals(value, schema.const)) {
+      return { keyword: 'const', params: { allowed: JSON.stringify(schema.const) } };
+    }
+
     if (Array.isArray(schema.enum) && schema.enum.length > 0) {
-      if (!schema.enum.includes(value)) return 'Invalid value.';
+      if (!schema.enum.some((e) => this._equals(e, value))) return { keyword: 'enum', params: { allowed: schema.enum.join(', ') } };
     }
 
+    if (schema.not !== undefined && this._matches(rootSchema, schema.not, value)) return { keyword: 'not' };
+
     return null;
   }
 
+  /**
+   * Validate the whole data tree against `rootSchema`. Objects are checked
+   * against the schema active for their data (union variant, conditionals),
+   * so properties of inactive branches are ignored; every property, array
+   * item and additional property is visited whether or not it is rendered.
+   * Cross-field `x-rules` of each object are evaluated as well.
+   *
+   * @param {object} rootSchema
+   * @param {*} data
+   * @returns {Map<string,string>} error message by JSON Pointer ('' = root)
+   */
+  validate(rootSchema, data) {
+    return this.collectIssues(rootSchema, data).errors;
+  }
+
+  /**
+   * Like `validate`, also collecting warnings. A path reports at most one
+   * issue; an error wins over a warning.
+   *
+   * @param {object} rootSchema
+   * @param {*} data
+   * @returns {{ errors: Map<string,string>, warnings: Map<string,string> }} messages by JSON Pointer
+   */
+  collectIssues(rootSchema, data) {
+    const ctx = {
+      rootSchema, rootData: data, errors: new Map(), warnings: new Map(),
+    };
+    this._validateNode(ctx, rootSchema, data, '', false, 0);
+    ctx.errors.forEach((_, pointer) => ctx.warnings.delete(pointer));
+    return { errors: ctx.errors, warnings: ctx.warnings };
+  }
+
+  /**
+   * Return the advisory message for a single value from its schema's
+   * `x-warnings` keywords, or null. Empty values never warn.
+   *
+   * @param {*} value
+   * @param {object} schema
+   * @param {{ rootSchema?: object }} [opts]
+   * @returns {string|null}
+   */
+  getValidationWarning(value, schema, { rootSchema } = {}) {
+    const advisory = schema?.['x-warnings'];
+    if (!advisory || typeof advisory !== 'object' || this._isEmpty(value)) return null;
+    return this.getValidationError(value, { type: schema.type, ...advisory }, { rootSchema });
+  }
+
+  /** Whether any schema reachable from `rootSchema` (following $ref) declares `x-rules`. */
+  hasRules(rootSchema) {
+    if (!rootSchema || typeof rootSchema !== 'object') return false;
+    if (this._hasRulesCache.has(rootSchema)) return this._hasRulesCache.get(rootSchema);
+    const svc = this._schema;
+    const seen = new Set();
+    const walk = (node) => {
+      if (!node || typeof node !== 'object' || seen.has(node)) return false;
+      seen.add(node);
+      if (Array.isArray(node['x-rules']) && node['x-rules'].length) return true;
+      const target = node.$ref && svc ? svc.derefNode(rootSchema, node) : null;
+      if (target && target !== node && walk(target)) return true;
+      return Object.values(node).some(walk);
+    };
+    const result = walk(rootSchema);
+    this._hasRulesCache.set(rootSchema, result);
+    return result;
+  }
+
+  /** Per-property required messages of an object (ajv-errors `errorMessage: { required: { title: '...' } }`). */
+  _requiredMessages(schema) {
+    const maps = [schema?.errorMessage?.required, schema?.['x-error-messages']?.required];
+    return maps.find((m) => m && typeof m === 'object' && !this._isMessageMap(m)) || {};
+  }
+
+  _validateNode(ctx, schema, value, pointer, required, depth, requiredMessage) {
+    const { rootSchema, errors } = ctx;
+    if (depth > 50 || schema === undefined || schema === true) return;
+    if (schema === false) {
+      if (value !== undefined) errors.set(pointer, this._message({}, { keyword: 'false' }, { rootSchema }));
+      return;
+    }
+    const svc = this._schema;
+    const base = svc ? (svc.normalizeSchema(rootSchema, schema) || schema) : schema;
+    const isObject = !!value && typeof value === 'object' && !Array.isArray(value);
+    const s = svc && (isObject || value === undefined) ? svc.resolveEffectiveSchema(rootSchema, base, value).schema : base;
+    if (!s || typeof s !== 'object') return;
+
+    const error = this.getValidationError(value, s, { required, rootSchema, requiredMessage });
+    if (error) errors.set(pointer, error);
+    const warning = error ? null : this.getValidationWarning(value, s, { rootSchema });
+    if (warning && ctx.warnings) ctx.warnings.set(pointer, warning);
+
+    if (isObject || (value === undefined && s.type === 'object')) {
+      const obj = isObject ? value : {};
+      const props = s.properties || {};
+      const requiredSet = new Set(Array.isArray(s.required) ? s.required : []);
+      // Absent optional objects are not descended into
+      if (!isObject && !required) return;
+      const requiredMessages = this._requiredMessages(s);
+      Object.entries(props).forEach(([key, sub]) => {
+        this._validateNode(ctx, sub, obj[key], this._childPointer(pointer, key), requiredSet.has(key), depth + 1, requiredMessages[key]);
+      });
+      requiredSet.forEach((key) => {
+        if (!(key in props) && this._isEmpty(obj[key])) {
+          errors.set(this._childPointer(pointer, key), this._message({}, { keyword: 'required' }, { rootSchema, message: requiredMessages[key] }));
+        }
+      });
+      const patterns = Object.entries(s.patternProperties || {});
+      Object.keys(obj).filter((key) => !(key in props)).forEach((key) => {
+        const matched = patterns.filter(([p]) => { try { return new RegExp(p).test(key); } catch { return false; } });
+        matched.forEach(([, sub]) => this._validateNode(ctx, sub, obj[key], this._childPointer(pointer, key), false, depth + 1));
+        if (!matched.length && s.additionalProperties && typeof s.additionalProperties === 'object') {
+          this._validateNode(ctx, s.additionalProperties, obj[key], this._childPointer(pointer, key), false, depth + 1);
+        }
+      });
+      this._applyRules(ctx, s, obj, pointer);
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      // 2020-12 prefixItems/items, or draft-07 tuple items/additionalItems
+      const isTuple = Array.isArray(s.items);
+      const prefixItems = s.prefixItems || (isTuple ? s.items : []);
+      const items = isTuple ? s.additionalItems : s.items;
+      value.forEach((item, i) => {
+        const sub = i < prefixItems.length ? prefixItems[i] : items;
+        if (sub !== undefined) this._validateNode(ctx, sub, item, this._childPointer(pointer, i), false, depth + 1);
+      });
+    }
+  }
+
+  /** Append one (escaped) token to a JSON Pointer. */
+  _childPointer(pointer, key) {
+    return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  }
+
+  /**
+   * Evaluate an object's `x-rules` against its data. Each rule is
+   * `{ rule, message?, fields?, when?, severity? }` (or just the expression
+   * string); see `rule-expression.js` for the syntax. A failing rule reports
+   * its message on each of `fields` (paths relative to the object, `$root.`
+   * for absolute ones), else on every object field the expression references,
+   * else on the object itself. A rule without `when` is skipped while any of
+   * its `fields` (else of the fields it references) is empty, so rules about
+   * empty fields need a `when`. Issues already reported for a field win;
+   * `severity: 'warning'` reports to the warnings instead of the errors.
+   */
+  _applyRules(ctx, schema, obj, pointer) {
+    const rules = schema['x-rules'];
+    if (!Array.isArray(rules)) return;
+    const { rootSchema, rootData, errors } = ctx;
+    // Own data properties only: never prototypes or their functions
+    const get = (path) => {
+      const [head, ...rest] = path;
+      return (head === '$root' ? rest : path).reduce((cur, key) => {
+        if (cur == null || typeof cur !== 'object' || UNSAFE_SEGMENTS.has(key)) return undefined;
+        return Object.prototype.hasOwnProperty.call(cur, key) ? cur[key] : undefined;
+      }, head === '$root' ? rootData : obj);
+    };
+    const toPointer = (path) => {
+      const [head, ...rest] = path;
+      const tokens = head === '$root' ? rest : path;
+      return tokens.reduce((acc, token) => this._childPointer(acc, token), head === '$root' ? '' : pointer);
+    };
+    rules.forEach((entry) => {
+      const rule = typeof entry === 'string' ? { rule: entry } : entry;
+      if (!rule?.rule) return;
+      const fieldPaths = Array.isArray(rule.fields) ? rule.fields.map((f) => String(f).match(/[^.[\]]+/g) || []) : null;
+      let compiled;
+      try {
+        compiled = compileRule(rule.rule);
+        // Rules wait until the fields they name (else read) are filled in, unless `when` decides
+        const watched = fieldPaths || compiled.refs;
+        if (!rule.when && watched.some((path) => this._isEmpty(get(path)))) return;
+        if (rule.when && !compileRule(rule.when).evaluate(get)) return;
+        if (compiled.evaluate(get)) return;
+      } catch (e) {
+        if (!this._invalidRules.has(rule.rule)) {
+          this._invalidRules.add(rule.rule);
+          // eslint-disable-next-line no-console
+          console.warn('[validation-service] invalid x-rules expression:', rule.rule, e?.message || e);
+        }
+        return;
+      }
+      const paths = fieldPaths || compiled.refs.filter((path) => path[0] !== '$root');
+      const targets = paths.length ? Array.from(new Set(paths.map(toPointer))) : [pointer];
+      const message = this._message({}, { keyword: 'rule' }, { rootSchema, message: rule.message });
+      const isWarning = rule.severity === 'warning';
+      const issues = isWarning ? ctx.warnings : errors;
+      if (!issues) return;
+      targets.forEach((target) => {
+        if (errors.has(target) || issues.has(target)) return;
+        issues.set(target, message);
+      });
+    });
+  }
+
+  /**
+   * Register an async validator usable from `x-async-validate`. The function
+   * receives the value and `{ options, schema, rootSchema, data, path, signal,
+   * context }` and resolves to `true`/`undefined` (valid), `false` (invalid,
+   * default message), a message/catalog key, or `{ valid, message?, params? }`.
+   * It should pass `signal` on to fetches so stale checks are cancelled.
+   * @param {string} name
+   * @param {(value:any, args:object)=>Promise<any>|any} fn
+   */
+  registerAsyncValidator(name, fn) {
+    if (!name || typeof fn !== 'function') return;
+    this._asyncValidators.set(name, fn);
+  }
+
+  /**
+   * Async validators declared on a field: `x-async-validate` is a name, a spec
+   * `{ name, message?, debounce?, ...options }`, or an array of those.
+   * @param {object} schema
+   * @returns {Array<{ name:string, message?:any, debounce?:number, options:object }>}
+   */
+  getAsyncValidators(schema) {
+    const raw = schema?.['x-async-validate'];
+    if (!raw) return [];
+    return (Array.isArray(raw) ? raw : [raw])
+      .map((entry) => (typeof entry === 'string' ? { name: entry } : entry))
+      .filter((entry) => entry && typeof entry.name === 'string')
+      .map(({
+        name, message, debounce, ...options
+      }) => ({
+        name, message, debounce, options,
+      }));
+  }
+
+  /** Whether a field declares any `x-async-validate` validator. */
+  hasAsyncValidators(schema) {
+    return this.getAsyncValidators(schema).length > 0;
+  }
+
+  /** Debounce (ms) for a field's async validators: the largest `debounce` declared, else the default. */
+  getAsyncDebounce(schema) {
+    const waits = this.getAsyncValidators(schema).map((v) => v.debounce).filter((d) => typeof d === 'number' && d >= 0);
+    return waits.length ? Math.max(...waits) : ASYNC_DEBOUNCE_MS;
+  }
+
+  /**
+   * Run a field's async validators in order and resolve to the first error
+   * message, or null. Rejects with the abort reason when `signal` aborts, so
+   * callers can drop stale results. Unknown validators and validators that
+   * fail (e.g. network errors) are reported once in the console and pass.
+   *
+   * @param {*} value
+   * @param {object} schema - effective field schema
+   * @param {{ rootSchema?: object, data?: object, path?: string, signal?: AbortSignal }} [opts]
+   * @returns {Promise<string|null>}
+   */
+  async validateAsync(value, schema, {
+    rootSchema, data, path, signal,
+  } = {}) {
+    if (this._isEmpty(value)) return null;
+    for (const { name, message, options } of this.getAsyncValidators(schema)) {
+      const fn = this._asyncValidators.get(name);
+      if (!fn) {
+        this._warnAsync(name, 'unknown async validator');
+        continue;
+      }
+      let result;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        result = await fn(value, {
+          options, schema, rootSchema, data, path, signal, context: this._context,
+        });
+      } catch (e) {
+        if (signal?.aborted || e?.name === 'AbortError') throw e;
+        this._warnAsync(name, e?.message || e);
+        continue;
+      }
+      signal?.throwIfAborted?.();
+      const failure = this._asyncFailure(result);
+      if (failure) {
+        return this._message(schema, { keyword: 'async', key: `async.${name}`, params: failure.params }, {
+          rootSchema,
+          message: failure.message ?? message,
+        });
+      }
+    }
+    return null;
+  }
+
+  /** Normalize an async validator result to `{ message?, params? }` on failure, else null. */
+  _asyncFailure(result) {
+    if (result === false) return {};
+    if (typeof result === 'string') return { message: result };
+    if (result && typeof result === 'object' && result.valid === false) {
+      return { message: result.message, params: result.params || {} };
+    }
+    return null;
+  }
+
+  _warnAsync(name, detail) {
+    if (this._asyncWarnings.has(name)) return;
+    this._asyncWarnings.add(name);
+    // eslint-disable-next-line no-console
+    console.warn('[validation-service] async validator', name, detail);
+  }
+
   /**
    * Return dotted paths of required arrays-of-objects that are empty.
    *
@@ -62,13 +692,14 @@ export class ValidationService {
    * @param {object} data
    * @param {(node:object)=>object} normalize - function to deref/normalize a node
    * @param {(data:object, path:string)=>any} getValue - function to read a dotted path from data
+   * @param {(node:object, path:string)=>object} [resolveObject] - effective object schema for the data at path (conditionals)
    * @returns {string[]} paths
    */
-  getEmptyRequiredArrayPaths(schema, data, { normalize, getValue }) {
+  getEmptyRequiredArrayPaths(schema, data, { normalize, getValue, resolveObject = (n) => n }) {
     const out = [];
     const norm = (n) => normalize(n) || n || {};
     const walk = (node, pathPrefix = '') => {
-      const n = norm(node);
+      const n = resolveObject(norm(node), pathPrefix) || norm(node);
       if (!n || n.type !== 'object' || !n.properties) return;
       const requiredSet = new Set(n.required || []);
       Object.entries(n.properties).forEach(([key, child]) => {